@@ -0,0 +1,75 @@
+/**
+ * Product catalogue
+ * The server is the only place prices come from: clients send a product ID
+ * and quantity, never an amount.
+ */
+
+export const DEFAULT_PRODUCT_ID = "full-report";
+
+export const PRODUCTS = {
+  "full-report": {
+    id: "full-report",
+    name: "Unlock Insta Full Report",
+    unitPrice: 199, // What the customer pays per unit
+    retailPrice: 1299, // Shown struck through; the difference is the discount
+    currency: "INR",
+    maxQuantity: 10,
+  },
+};
+
+/**
+ * Error for bad pricing input (err.code === "INVALID_ORDER")
+ */
+const createInvalidOrderError = (message) => {
+  const err = new Error(message);
+  err.code = "INVALID_ORDER";
+  return err;
+};
+
+/**
+ * Public catalogue entry (what GET /api/products returns)
+ */
+export const serializeProduct = (product) => ({
+  id: product.id,
+  name: product.name,
+  unitPrice: product.unitPrice,
+  retailPrice: product.retailPrice,
+  currency: product.currency,
+  maxQuantity: product.maxQuantity,
+  discountPercent: Math.round((1 - product.unitPrice / product.retailPrice) * 100),
+});
+
+/**
+ * Compute the amount for an order from a catalogue (default: PRODUCTS).
+ * Throws INVALID_ORDER for unknown products, out-of-range quantities or
+ * an amount that isn't a positive number.
+ */
+export function priceOrder(productId = DEFAULT_PRODUCT_ID, quantity = 1, products = PRODUCTS) {
+  // Own keys only: "__proto__", "toString" and friends are not products
+  const product = typeof productId === "string" && Object.hasOwn(products, productId) ? products[productId] : null;
+  if (!product) {
+    throw createInvalidOrderError(`Unknown product: ${productId}`);
+  }
+
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1 || qty > product.maxQuantity) {
+    throw createInvalidOrderError(`Quantity must be a whole number between 1 and ${product.maxQuantity}`);
+  }
+
+  const amount = product.unitPrice * qty;
+  const retailAmount = product.retailPrice * qty;
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw createInvalidOrderError(`Product ${product.id} has no valid price`);
+  }
+
+  return {
+    productId: product.id,
+    productName: product.name,
+    quantity: qty,
+    unitPrice: product.unitPrice,
+    retailAmount,
+    discount: retailAmount - amount,
+    amount,
+    currency: product.currency,
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Retention policy: how long stored scrape data lives, in one place.
+ * MongoDB deletes documents once their `expiresAt` passes (TTL indexes in
+ * utils/mongodb.js); expiresAt is set from these lifetimes when a document
+ * is written and recomputed for stored documents when the settings change.
+ *
+ *   SNAPSHOT_RETENTION_MINUTES   snapshot documents (parsed results, cards)
+ *                                and scrape jobs (default 60)
+ *   HTML_RETENTION_MINUTES       raw step HTML (default 30)
+ *   PAID_RETENTION_DAYS          everything belonging to a snapshot a paid
+ *                                order unlocked, counted from payment (default 90)
+ *
+ * Unpaid images, linked from both snapshots and step HTML, last the longer
+ * of the first two; the /api/stalkers cache window is the shorter
+ * (getCacheMinutes).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Read lazily: server.js loads .env after static imports are evaluated
+export const getRetentionPolicy = () => ({
+  snapshotMinutes: Number(process.env.SNAPSHOT_RETENTION_MINUTES) || 60,
+  htmlMinutes: Number(process.env.HTML_RETENTION_MINUTES) || 30,
+  paidDays: Number(process.env.PAID_RETENTION_DAYS) || 90,
+});
+
+/**
+ * How long a scrape is served from cache: while both the snapshot and its
+ * step HTML still exist, so cached htmlPaths never point at deleted HTML
+ */
+export const getCacheMinutes = (policy = getRetentionPolicy()) =>
+  Math.min(policy.snapshotMinutes, policy.htmlMinutes);
+
+/**
+ * Lifetimes in milliseconds: { snapshot, html, image, paid }
+ */
+export const getRetentionMs = (policy = getRetentionPolicy()) => ({
+  snapshot: policy.snapshotMinutes * MINUTE_MS,
+  html: policy.htmlMinutes * MINUTE_MS,
+  image: Math.max(policy.snapshotMinutes, policy.htmlMinutes) * MINUTE_MS,
+  paid: policy.paidDays * DAY_MS,
+});
+
+/**
+ * When data of `kind` ("snapshot" | "html" | "image" | "paid") written at `from` expires
+ */
+export const expiryDate = (kind, from = new Date()) => new Date(from.getTime() + getRetentionMs()[kind]);
+
+/**
+ * Whether two policies keep data for the same time
+ */
+export const samePolicy = (a, b) =>
+  Boolean(a && b) &&
+  a.snapshotMinutes === b.snapshotMinutes &&
+  a.htmlMinutes === b.htmlMinutes &&
+  a.paidDays === b.paidDays;
@@ -0,0 +1,79 @@
+/**
+ * Storage repositories: every read and write of snapshots, scrape jobs
+ * and orders goes through these, so the storage backend can be swapped.
+ *
+ *   STORAGE_DRIVER   "mongodb" | "memory". Defaults to mongodb when
+ *                    MONGODB_URI is set, otherwise memory (nothing survives
+ *                    a restart - fine for local development and tests).
+ *
+ * Contract shared by all drivers:
+ * - Methods are async. Reads resolve to null (or [] for lists) when nothing
+ *   matches or the store can't be reached; writes resolve to false when
+ *   they could not be stored. available() tells the two cases apart.
+ * - Documents are returned as copies; change them through the repository.
+ * - Data expires per the retention policy (config/retention.js).
+ *
+ * snapshots  saveStep, saveResult, markCancelled, markFailed, retainPaid,
+ *            saveParsedStep, get, getParsed, getStepStream, getStepHtml,
+ *            getLatestStepHtml, getByRunId, getRecent, listFailed,
+ *            countFailedByReason, saveImages, getImage
+ * jobs       create, update, get
+ * orders     get, getByAccessTokenHash, addAccessTokenHash, findByEmail,
+ *            create, saveCustomerDetails, updateIfUnchanged,
+ *            grantEntitlement, findEntitlement, revokeEntitlement,
+ *            getLookupCode, saveLookupCode, claimLookupAttempt, consumeLookupCode
+ *
+ * See the MongoDB implementations (./mongodb) for each method's documentation.
+ */
+
+import { MongoSnapshotRepository } from "./mongodb/snapshots.js";
+import { MongoJobRepository } from "./mongodb/jobs.js";
+import { MongoOrderRepository } from "./mongodb/orders.js";
+import { MemorySnapshotRepository } from "./memory/snapshots.js";
+import { MemoryJobRepository } from "./memory/jobs.js";
+import { MemoryOrderRepository } from "./memory/orders.js";
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+export const STORAGE_DRIVERS = {
+  mongodb: () => ({
+    snapshots: new MongoSnapshotRepository(),
+    jobs: new MongoJobRepository(),
+    orders: new MongoOrderRepository(),
+  }),
+  memory: () => ({
+    snapshots: new MemorySnapshotRepository(),
+    jobs: new MemoryJobRepository(),
+    orders: new MemoryOrderRepository(),
+  }),
+};
+
+// Read lazily: server.js loads .env after static imports are evaluated
+export const getStorageDriver = () => {
+  const driver = process.env.STORAGE_DRIVER || (process.env.MONGODB_URI ? "mongodb" : "memory");
+  if (!STORAGE_DRIVERS[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use one of: ${Object.keys(STORAGE_DRIVERS).join(", ")}`);
+  }
+  return driver;
+};
+
+let repositories = null;
+
+/**
+ * The configured repositories ({ snapshots, jobs, orders }), created on first use
+ */
+export function getRepositories() {
+  if (!repositories) {
+    const driver = getStorageDriver();
+    if (driver === "memory") {
+      log("⚠️  Using in-memory storage: snapshots, jobs and orders are lost on restart");
+    } else {
+      log(`🗄️  Using ${driver} storage`);
+    }
+    repositories = STORAGE_DRIVERS[driver]();
+  }
+  return repositories;
+}
@@ -0,0 +1,43 @@
+/**
+ * In-memory job repository; same contract as MongoJobRepository. Jobs are
+ * dropped once their retention passes and lost on restart.
+ */
+
+import { expiryDate } from "../../config/retention.js";
+
+export class MemoryJobRepository {
+  constructor() {
+    this.jobs = new Map(); // jobId -> job
+  }
+
+  purge() {
+    const now = new Date();
+    for (const [jobId, job] of this.jobs) {
+      if (job.expiresAt <= now) this.jobs.delete(jobId);
+    }
+  }
+
+  async available() {
+    return true;
+  }
+
+  async create(job) {
+    this.purge();
+    this.jobs.set(job.jobId, { ...structuredClone(job), expiresAt: expiryDate("snapshot", job.createdAt) });
+    return true;
+  }
+
+  async update(jobId, fields = {}) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      Object.assign(job, structuredClone(fields), { updatedAt: new Date() });
+    }
+    return true;
+  }
+
+  async get(jobId) {
+    this.purge();
+    const job = this.jobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+}
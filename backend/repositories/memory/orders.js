@@ -0,0 +1,136 @@
+/**
+ * In-memory order repository; same contract as MongoOrderRepository.
+ * Orders, entitlements and lookup codes are lost on restart.
+ */
+
+import { ObjectId } from "mongodb";
+
+export class MemoryOrderRepository {
+  constructor() {
+    this.orders = new Map(); // _id -> order or customer details
+    this.entitlements = new Map(); // orderId -> entitlement
+    this.lookupCodes = new Map(); // email -> { codeHash, attempts, createdAt, expiresAt }
+  }
+
+  findOrder(orderId) {
+    return [...this.orders.values()].find((order) => order.orderId === orderId) || null;
+  }
+
+  async available() {
+    return true;
+  }
+
+  async get(orderId) {
+    const order = this.findOrder(orderId);
+    return order ? structuredClone(order) : null;
+  }
+
+  async getByAccessTokenHash(tokenHash) {
+    const order = [...this.orders.values()].find(
+      (candidate) => candidate.accessTokenHash === tokenHash || candidate.accessTokenHashes?.includes(tokenHash)
+    );
+    return order ? structuredClone(order) : null;
+  }
+
+  async addAccessTokenHash(orderId, tokenHash, maxTokens) {
+    const order = this.findOrder(orderId);
+    if (order) {
+      order.accessTokenHashes = [...(order.accessTokenHashes || []), tokenHash].slice(-maxTokens);
+    }
+    return true;
+  }
+
+  async findByEmail(email) {
+    const normalized = email.trim().toLowerCase();
+    return [...this.orders.values()]
+      .filter((order) => order.orderId && order.email?.toLowerCase() === normalized)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, 50)
+      .map((order) => structuredClone(order));
+  }
+
+  async create(order) {
+    const _id = new ObjectId().toString();
+    this.orders.set(_id, { ...structuredClone(order), _id });
+    return true;
+  }
+
+  async saveCustomerDetails(details) {
+    const _id = new ObjectId().toString();
+    this.orders.set(_id, { ...structuredClone(details), _id });
+    return _id;
+  }
+
+  async updateIfUnchanged(order, set, historyEntry) {
+    const current = this.findOrder(order.orderId);
+    if (
+      !current ||
+      current.status !== order.status ||
+      (current.updatedAt ?? null)?.valueOf() !== (order.updatedAt ?? null)?.valueOf() ||
+      current.events?.some((e) => e.eventId === historyEntry.eventId)
+    ) {
+      return false;
+    }
+
+    Object.assign(current, structuredClone(set));
+    current.events = [...(current.events || []), structuredClone(historyEntry)];
+    return true;
+  }
+
+  async grantEntitlement(entitlement) {
+    if (this.entitlements.has(entitlement.orderId)) {
+      return { created: false };
+    }
+    this.entitlements.set(entitlement.orderId, structuredClone(entitlement));
+    return { created: true };
+  }
+
+  async findEntitlement(snapshotId, orderId) {
+    const entitlement = this.entitlements.get(orderId);
+    return entitlement && entitlement.snapshotId === snapshotId && !entitlement.revokedAt
+      ? structuredClone(entitlement)
+      : null;
+  }
+
+  async revokeEntitlement(orderId, reason) {
+    const entitlement = this.entitlements.get(orderId);
+    if (!entitlement || entitlement.revokedAt) {
+      return { revoked: false };
+    }
+    Object.assign(entitlement, { revokedAt: new Date(), revokedReason: reason });
+    return { revoked: true };
+  }
+
+  async getLookupCode(email) {
+    const entry = this.lookupCodes.get(email);
+    if (entry && entry.expiresAt <= new Date()) {
+      this.lookupCodes.delete(email);
+      return null;
+    }
+    return entry ? { email, ...entry } : null;
+  }
+
+  async saveLookupCode(email, fields) {
+    this.lookupCodes.set(email, { ...fields });
+    return true;
+  }
+
+  async claimLookupAttempt(email, maxAttempts) {
+    const entry = this.lookupCodes.get(email);
+    if (!entry || entry.expiresAt <= new Date() || entry.attempts >= maxAttempts) {
+      return null;
+    }
+    // No await between the check and the increment, so concurrent guesses can't share one
+    const before = { email, ...entry };
+    entry.attempts += 1;
+    return before;
+  }
+
+  async consumeLookupCode(email, codeHash) {
+    if (this.lookupCodes.get(email)?.codeHash !== codeHash) {
+      return false;
+    }
+    this.lookupCodes.delete(email);
+    return true;
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * In-memory snapshot repository, for local development and tests without
+ * MongoDB. Same contract as MongoSnapshotRepository; retention is applied
+ * when data is read (expired entries are dropped) and everything is lost
+ * on restart.
+ */
+
+import { ObjectId } from "mongodb";
+import { Readable } from "stream";
+import { DEFAULT_LOCALE, findStoredImageUrls } from "../../../shared/parsers/index.js";
+import { expiryDate } from "../../config/retention.js";
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+const htmlKey = (snapshotId, stepName) => `${snapshotId}:${stepName}`;
+
+// Drop a map's entries whose expiresAt has passed, like the TTL indexes do
+const purgeExpired = (map, now = new Date()) => {
+  for (const [key, value] of map) {
+    if (value.expiresAt && value.expiresAt <= now) map.delete(key);
+  }
+};
+
+export class MemorySnapshotRepository {
+  constructor() {
+    this.snapshots = new Map(); // _id -> snapshot document
+    this.html = new Map(); // "<snapshotId>:<step>" -> { snapshotId, step, html, capturedAt, createdAt, expiresAt }
+    this.images = new Map(); // hash -> { contentType, data, size, createdAt, lastSeenAt, expiresAt }
+  }
+
+  purge() {
+    const now = new Date();
+    purgeExpired(this.snapshots, now);
+    purgeExpired(this.html, now);
+    purgeExpired(this.images, now);
+  }
+
+  findRun(instagramUsername, runId) {
+    return [...this.snapshots.values()].find(
+      (snapshot) => snapshot.instagramUsername === instagramUsername && snapshot.runId === runId
+    );
+  }
+
+  async available() {
+    return true;
+  }
+
+  async saveStep(instagramUsername, runId, stepName, html, meta = {}, locale = null) {
+    this.purge();
+    const stepData = {
+      name: stepName,
+      capturedAt: new Date(),
+      size: Buffer.byteLength(html, "utf8"),
+      compressedSize: null,
+      meta: { ...meta, capturedAt: new Date().toISOString() },
+    };
+
+    let snapshot = this.findRun(instagramUsername, runId);
+    if (!snapshot) {
+      snapshot = {
+        _id: new ObjectId().toString(),
+        instagramUsername,
+        runId,
+        createdAt: new Date(),
+        expiresAt: expiryDate("snapshot"),
+        status: "processing",
+        ...(locale && { locale }),
+        steps: [],
+      };
+      this.snapshots.set(snapshot._id, snapshot);
+    }
+    snapshot.steps.push(stepData);
+
+    const key = htmlKey(snapshot._id, stepName);
+    const existing = this.html.get(key);
+    this.html.set(key, {
+      snapshotId: snapshot._id,
+      step: stepName,
+      html,
+      capturedAt: stepData.capturedAt,
+      createdAt: existing?.createdAt || new Date(),
+      expiresAt: existing?.expiresAt || expiryDate("html"),
+      ...(locale && { locale }),
+    });
+
+    log(`📝 Snapshot step saved in memory: ${instagramUsername}/${runId}/${stepName} (${stepData.size} bytes)`);
+    return { stepData: structuredClone(stepData), snapshotId: snapshot._id };
+  }
+
+  async saveResult(instagramUsername, runId, cards, steps, selectorMatches = {}) {
+    const snapshot = this.findRun(instagramUsername, runId);
+    if (snapshot) {
+      Object.assign(snapshot, {
+        cards: structuredClone(cards),
+        selectorMatches: structuredClone(selectorMatches),
+        status: "completed",
+        completedAt: new Date(),
+      });
+    }
+    return true;
+  }
+
+  async markCancelled(instagramUsername, runId) {
+    const snapshot = this.findRun(instagramUsername, runId);
+    if (!snapshot) {
+      return false;
+    }
+    Object.assign(snapshot, { status: "cancelled", cancelledAt: new Date() });
+    return true;
+  }
+
+  async markFailed(instagramUsername, runId, failure, locale = null) {
+    this.purge();
+    let snapshot = this.findRun(instagramUsername, runId);
+    if (!snapshot) {
+      snapshot = {
+        _id: new ObjectId().toString(),
+        instagramUsername,
+        runId,
+        createdAt: new Date(),
+        expiresAt: expiryDate("snapshot"),
+        ...(locale && { locale }),
+        steps: [],
+      };
+      this.snapshots.set(snapshot._id, snapshot);
+    }
+    Object.assign(snapshot, { status: "failed", failedAt: new Date(), failure: structuredClone(failure) });
+    return true;
+  }
+
+  async listFailed({ reason = null, limit = 50 } = {}) {
+    this.purge();
+    return [...this.snapshots.values()]
+      .filter((snapshot) => snapshot.status === "failed" && (!reason || snapshot.failure?.reason === reason))
+      .sort((a, b) => b.failedAt - a.failedAt)
+      .slice(0, limit)
+      .map(({ parsed, cards, ...snapshot }) => structuredClone(snapshot));
+  }
+
+  async countFailedByReason() {
+    this.purge();
+    const counts = {};
+    for (const snapshot of this.snapshots.values()) {
+      if (snapshot.status === "failed") {
+        const reason = snapshot.failure?.reason || "unknown";
+        counts[reason] = (counts[reason] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  async retainPaid(snapshotId) {
+    this.purge();
+    const snapshot = this.snapshots.get(snapshotId);
+    if (!snapshot) {
+      return false;
+    }
+
+    const paidAt = new Date();
+    const retained = { paidAt, expiresAt: expiryDate("paid", paidAt) };
+    Object.assign(snapshot, retained);
+    const htmls = [];
+    for (const entry of this.html.values()) {
+      if (entry.snapshotId === snapshotId) {
+        Object.assign(entry, retained);
+        htmls.push(entry.html);
+      }
+    }
+    // Images linked from the parsed data, the cards and every step's HTML
+    for (const url of findStoredImageUrls(JSON.stringify([snapshot.parsed, snapshot.cards]) + htmls.join(""))) {
+      const image = this.images.get(url.split("/").pop());
+      if (image) {
+        image.paidAt = paidAt;
+        if (image.expiresAt < retained.expiresAt) image.expiresAt = retained.expiresAt;
+      }
+    }
+    return true;
+  }
+
+  async getStepStream(snapshotId, stepName) {
+    const html = await this.getStepHtml(snapshotId, stepName);
+    return html === null ? null : Readable.from([Buffer.from(html, "utf8")]);
+  }
+
+  async getStepHtml(snapshotId, stepName) {
+    this.purge();
+    return this.html.get(htmlKey(snapshotId, stepName))?.html ?? null;
+  }
+
+  async get(snapshotId) {
+    this.purge();
+    const snapshot = this.snapshots.get(snapshotId);
+    if (!snapshot) {
+      return null;
+    }
+    const { parsed, ...rest } = snapshot;
+    return structuredClone(rest);
+  }
+
+  async saveParsedStep(snapshotId, stepName, data) {
+    const snapshot = this.snapshots.get(snapshotId);
+    if (!snapshot) {
+      return false;
+    }
+    snapshot.parsed = { ...snapshot.parsed, [stepName]: structuredClone(data) };
+    return true;
+  }
+
+  async getParsed(snapshotId) {
+    this.purge();
+    const snapshot = this.snapshots.get(snapshotId);
+    return snapshot
+      ? structuredClone({
+          status: snapshot.status,
+          parsed: snapshot.parsed || {},
+          selectorMatches: snapshot.selectorMatches || {},
+        })
+      : null;
+  }
+
+  async getLatestStepHtml(stepNames, locale = DEFAULT_LOCALE) {
+    this.purge();
+    const pages = {};
+    for (const entry of this.html.values()) {
+      if ((entry.locale || DEFAULT_LOCALE) !== locale) continue;
+      if (stepNames.includes(entry.step) && !(pages[entry.step]?.createdAt > entry.createdAt)) {
+        pages[entry.step] = entry;
+      }
+    }
+    return Object.fromEntries(
+      Object.entries(pages).map(([step, { html, snapshotId, capturedAt }]) => [step, { html, snapshotId, capturedAt }])
+    );
+  }
+
+  async getByRunId(instagramUsername, runId) {
+    this.purge();
+    const snapshot = this.findRun(instagramUsername, runId);
+    return snapshot?.status === "completed" ? structuredClone(snapshot) : null;
+  }
+
+  async getRecent(instagramUsername, maxAgeMinutes = 60, locale = DEFAULT_LOCALE) {
+    this.purge();
+    const cutoffTime = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+    const recent = [...this.snapshots.values()]
+      .filter(
+        (snapshot) =>
+          snapshot.instagramUsername === instagramUsername &&
+          snapshot.createdAt >= cutoffTime &&
+          snapshot.status === "completed" &&
+          (snapshot.locale || DEFAULT_LOCALE) === locale
+      )
+      .sort((a, b) => b.createdAt - a.createdAt)[0];
+    return recent ? structuredClone(recent) : null;
+  }
+
+  async saveImages(images) {
+    const now = new Date();
+    for (const { hash, contentType, data } of images) {
+      const expiresAt = expiryDate("image", now);
+      const image = this.images.get(hash);
+      if (image) {
+        image.lastSeenAt = now;
+        if (image.expiresAt < expiresAt) image.expiresAt = expiresAt;
+      } else {
+        this.images.set(hash, { contentType, data: Buffer.from(data), size: data.length, createdAt: now, lastSeenAt: now, expiresAt });
+      }
+    }
+    return true;
+  }
+
+  async getImage(hash) {
+    this.purge();
+    const image = this.images.get(hash);
+    return image ? { contentType: image.contentType, data: Buffer.from(image.data) } : null;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * MongoDB job repository (JOBS_COLLECTION). Methods resolve to null/false
+ * when MongoDB is unavailable; the job manager keeps live jobs in memory.
+ */
+
+import { connectDB, JOBS_COLLECTION } from "../../utils/mongodb.js";
+import { expiryDate } from "../../config/retention.js";
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+export class MongoJobRepository {
+  /**
+   * Whether MongoDB can be reached
+   */
+  async available() {
+    return Boolean(await connectDB());
+  }
+
+  /**
+   * Insert a new scrape job document
+   */
+  async create(job) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        log('⚠️  MongoDB not available, job kept in memory only');
+        return false;
+      }
+
+      await database.collection(JOBS_COLLECTION).insertOne({
+        ...job,
+        expiresAt: expiryDate("snapshot", job.createdAt)
+      });
+      return true;
+    } catch (err) {
+      log(`❌ Error creating job: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Set fields of a scrape job (steps are stored as the whole list)
+   */
+  async update(jobId, fields = {}) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return false;
+      }
+
+      await database.collection(JOBS_COLLECTION).updateOne(
+        { jobId },
+        { $set: { ...fields, updatedAt: new Date() } }
+      );
+      return true;
+    } catch (err) {
+      log(`❌ Error updating job: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get scrape job by ID
+   */
+  async get(jobId) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return null;
+      }
+
+      return await database.collection(JOBS_COLLECTION).findOne(
+        { jobId },
+        { projection: { _id: 0 } }
+      );
+    } catch (err) {
+      log(`❌ Error getting job: ${err.message}`);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * MongoDB order repository: orders (ORDERS_COLLECTION), the entitlements
+ * paid orders grant and email lookup codes. Reads resolve to null/[] when
+ * MongoDB is unavailable; callers that must tell the difference check
+ * available() first.
+ */
+
+import {
+  connectDB,
+  ORDERS_COLLECTION,
+  ENTITLEMENTS_COLLECTION,
+  LOOKUP_CODES_COLLECTION,
+} from "../../utils/mongodb.js";
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export class MongoOrderRepository {
+  /**
+   * Whether MongoDB can be reached
+   */
+  async available() {
+    return Boolean(await connectDB());
+  }
+
+  async collection(name) {
+    const database = await connectDB();
+    return database ? database.collection(name) : null;
+  }
+
+  /**
+   * Get order by orderId
+   */
+  async get(orderId) {
+    try {
+      const collection = await this.collection(ORDERS_COLLECTION);
+      return collection ? await collection.findOne({ orderId }) : null;
+    } catch (err) {
+      log(`❌ Error getting order: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Order holding an access token hash, from create-session
+   * (accessTokenHash) or an email lookup (accessTokenHashes)
+   */
+  async getByAccessTokenHash(tokenHash) {
+    try {
+      const collection = await this.collection(ORDERS_COLLECTION);
+      return collection
+        ? await collection.findOne({ $or: [{ accessTokenHash: tokenHash }, { accessTokenHashes: tokenHash }] })
+        : null;
+    } catch (err) {
+      log(`❌ Error getting order by token: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Add an access token hash to an order, keeping only the newest
+   * `maxTokens`; false when unavailable
+   */
+  async addAccessTokenHash(orderId, tokenHash, maxTokens) {
+    const collection = await this.collection(ORDERS_COLLECTION);
+    if (!collection) {
+      return false;
+    }
+    await collection.updateOne(
+      { orderId },
+      { $push: { accessTokenHashes: { $each: [tokenHash], $slice: -maxTokens } } }
+    );
+    return true;
+  }
+
+  /**
+   * Orders placed with an email address (case-insensitive), newest first
+   */
+  async findByEmail(email) {
+    try {
+      const collection = await this.collection(ORDERS_COLLECTION);
+      if (!collection) {
+        return [];
+      }
+
+      return await collection
+        .find({ orderId: { $exists: true }, email: { $regex: `^${escapeRegex(email.trim())}$`, $options: "i" } })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .toArray();
+    } catch (err) {
+      log(`❌ Error getting orders by email: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Insert an order; false when unavailable. Driver errors are thrown.
+   */
+  async create(order) {
+    const collection = await this.collection(ORDERS_COLLECTION);
+    if (!collection) {
+      return false;
+    }
+    await collection.insertOne({ ...order });
+    return true;
+  }
+
+  /**
+   * Store customer details entered before checkout; resolves to the new
+   * document's ID, or null when unavailable. Driver errors are thrown.
+   */
+  async saveCustomerDetails(details) {
+    const collection = await this.collection(ORDERS_COLLECTION);
+    if (!collection) {
+      return null;
+    }
+    const result = await collection.insertOne({ ...details });
+    return result.insertedId;
+  }
+
+  /**
+   * Apply `set` and append `historyEntry` to an order's events, only if the
+   * order is still as read (same status and updatedAt) and doesn't have the
+   * event yet. Resolves to true when it was updated.
+   */
+  async updateIfUnchanged(order, set, historyEntry) {
+    const collection = await this.collection(ORDERS_COLLECTION);
+    if (!collection) {
+      return false;
+    }
+
+    const update = await collection.updateOne(
+      {
+        orderId: order.orderId,
+        status: order.status,
+        updatedAt: order.updatedAt ?? null,
+        "events.eventId": { $ne: historyEntry.eventId },
+      },
+      { $set: set, $push: { events: historyEntry } }
+    );
+    return update.modifiedCount === 1;
+  }
+
+  /**
+   * Insert an order's entitlement unless it has one. Resolves to
+   * { created } or null when unavailable.
+   */
+  async grantEntitlement(entitlement) {
+    const collection = await this.collection(ENTITLEMENTS_COLLECTION);
+    if (!collection) {
+      return null;
+    }
+
+    const result = await collection.updateOne(
+      { orderId: entitlement.orderId },
+      { $setOnInsert: entitlement },
+      { upsert: true }
+    );
+    return { created: Boolean(result.upsertedId) };
+  }
+
+  /**
+   * Unrevoked entitlement that lets orderId open snapshotId, or null
+   */
+  async findEntitlement(snapshotId, orderId) {
+    const collection = await this.collection(ENTITLEMENTS_COLLECTION);
+    return collection
+      ? await collection.findOne({ snapshotId, orderId, revokedAt: { $exists: false } })
+      : null;
+  }
+
+  /**
+   * Revoke an order's entitlement. Resolves to { revoked } (false if it
+   * was already revoked or never granted), or null when unavailable.
+   */
+  async revokeEntitlement(orderId, reason) {
+    const collection = await this.collection(ENTITLEMENTS_COLLECTION);
+    if (!collection) {
+      return null;
+    }
+
+    const result = await collection.updateOne(
+      { orderId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return { revoked: result.modifiedCount === 1 };
+  }
+
+  /**
+   * Current lookup code entry for a normalized email, or null
+   */
+  async getLookupCode(email) {
+    const collection = await this.collection(LOOKUP_CODES_COLLECTION);
+    return collection ? await collection.findOne({ email }) : null;
+  }
+
+  /**
+   * Replace the lookup code for an email ({ codeHash, attempts, createdAt, expiresAt })
+   */
+  async saveLookupCode(email, fields) {
+    const collection = await this.collection(LOOKUP_CODES_COLLECTION);
+    if (!collection) {
+      return false;
+    }
+    await collection.updateOne({ email }, { $set: fields }, { upsert: true });
+    return true;
+  }
+
+  /**
+   * Count a guess against an email's lookup code, in the same write that
+   * checks it: resolves to the code (as it was before this guess) while it
+   * is unexpired and has fewer than maxAttempts guesses, else null
+   */
+  async claimLookupAttempt(email, maxAttempts) {
+    const collection = await this.collection(LOOKUP_CODES_COLLECTION);
+    if (!collection) {
+      return null;
+    }
+    return collection.findOneAndUpdate(
+      { email, attempts: { $lt: maxAttempts }, expiresAt: { $gt: new Date() } },
+      { $inc: { attempts: 1 } }
+    );
+  }
+
+  /**
+   * Delete an email's lookup code if it is still codeHash; true if this
+   * call deleted it (so a code can't be used twice concurrently)
+   */
+  async consumeLookupCode(email, codeHash) {
+    const collection = await this.collection(LOOKUP_CODES_COLLECTION);
+    if (!collection) {
+      return false;
+    }
+    const { deletedCount } = await collection.deleteOne({ email, codeHash });
+    return deletedCount === 1;
+  }
+}
@@ -0,0 +1,582 @@
+/**
+ * MongoDB snapshot repository: snapshot documents (metadata, parsed data,
+ * cards), their step HTML (gzipped, in SNAPSHOT_HTML_COLLECTION) and the
+ * image store. Methods resolve to null/false when MongoDB is unavailable.
+ */
+
+import { ObjectId } from "mongodb";
+import { Readable } from "stream";
+import { promisify } from "util";
+import zlib from "zlib";
+import {
+  connectDB,
+  SNAPSHOTS_COLLECTION,
+  SNAPSHOT_HTML_COLLECTION,
+  IMAGES_COLLECTION,
+} from "../../utils/mongodb.js";
+import { DEFAULT_LOCALE, findStoredImageUrls } from "../../../shared/parsers/index.js";
+import { expiryDate } from "../../config/retention.js";
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Stored (gzipped) HTML document of one snapshot step
+async function findStepHtml(snapshotId, stepName) {
+  const database = await connectDB();
+  if (!database || !ObjectId.isValid(snapshotId)) {
+    return null;
+  }
+
+  return database.collection(SNAPSHOT_HTML_COLLECTION).findOne({
+    snapshotId: new ObjectId(snapshotId),
+    step: stepName
+  });
+}
+
+export class MongoSnapshotRepository {
+  /**
+   * Whether MongoDB can be reached
+   */
+  async available() {
+    return Boolean(await connectDB());
+  }
+
+  /**
+   * Save snapshot step to MongoDB; `locale` is recorded when the snapshot is created.
+   * The snapshot document gets the step's metadata and sizes; the HTML itself
+   * is stored gzipped in SNAPSHOT_HTML_COLLECTION.
+   * Returns the snapshot document ID
+   */
+  async saveStep(instagramUsername, runId, stepName, html, meta = {}, locale = null) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        log('⚠️  MongoDB not available, cannot save snapshot');
+        return null;
+      }
+
+      const collection = database.collection(SNAPSHOTS_COLLECTION);
+      const compressed = await gzip(Buffer.from(html, "utf8"));
+
+      const stepData = {
+        name: stepName,
+        capturedAt: new Date(),
+        size: Buffer.byteLength(html, "utf8"),
+        compressedSize: compressed.length,
+        meta: { ...meta, capturedAt: new Date().toISOString() }
+      };
+
+      // Upsert: create document if doesn't exist, or update if it does
+      const result = await collection.updateOne(
+        { 
+          instagramUsername: instagramUsername,
+          runId: runId 
+        },
+        {
+          $setOnInsert: {
+            instagramUsername: instagramUsername,
+            runId: runId,
+            createdAt: new Date(),
+            expiresAt: expiryDate("snapshot"), // This is used for TTL deletion
+            status: "processing",
+            ...(locale && { locale })
+          },
+          $push: {
+            steps: stepData
+          }
+        },
+        { upsert: true }
+      );
+
+      // Get the document ID
+      let snapshotId = null;
+      if (result.upsertedId) {
+        snapshotId = result.upsertedId.toString();
+      } else {
+        // Document already exists, fetch it to get ID
+        const doc = await collection.findOne({
+          instagramUsername: instagramUsername,
+          runId: runId
+        });
+        snapshotId = doc?._id?.toString() || null;
+      }
+
+      if (snapshotId) {
+        await database.collection(SNAPSHOT_HTML_COLLECTION).updateOne(
+          { snapshotId: new ObjectId(snapshotId), step: stepName },
+          {
+            $set: {
+              encoding: "gzip",
+              html: compressed,
+              capturedAt: stepData.capturedAt
+            },
+            $setOnInsert: {
+              createdAt: new Date(),
+              expiresAt: expiryDate("html"), // This is used for TTL deletion
+              ...(locale && { locale })
+            }
+          },
+          { upsert: true }
+        );
+      }
+
+      log(`📝 Snapshot step saved: ${instagramUsername}/${runId}/${stepName} (${stepData.size} bytes, ${stepData.compressedSize} gzipped)`);
+      return { stepData, snapshotId };
+    } catch (err) {
+      log(`❌ Error saving snapshot step: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save final snapshot result with cards and the flow's selector matches
+   * ({ [registryKey]: { index, selector } })
+   */
+  async saveResult(instagramUsername, runId, cards, steps, selectorMatches = {}) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        log('⚠️  MongoDB not available, cannot save snapshot result');
+        return null;
+      }
+
+      const collection = database.collection(SNAPSHOTS_COLLECTION);
+
+      await collection.updateOne(
+        { 
+          instagramUsername: instagramUsername,
+          runId: runId 
+        },
+        {
+          $set: {
+            cards: cards,
+            selectorMatches,
+            status: "completed",
+            completedAt: new Date()
+          }
+        }
+      );
+
+      log(`✅ Snapshot result saved: ${instagramUsername}/${runId} with ${cards.length} cards`);
+      return true;
+    } catch (err) {
+      log(`❌ Error saving snapshot result: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Mark a run's snapshot as cancelled (its scrape was aborted). No-op when
+   * the run never saved a step.
+   */
+  async markCancelled(instagramUsername, runId) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        log('⚠️  MongoDB not available, cannot mark snapshot cancelled');
+        return false;
+      }
+
+      const collection = database.collection(SNAPSHOTS_COLLECTION);
+      const result = await collection.updateOne(
+        { instagramUsername: instagramUsername, runId: runId },
+        { $set: { status: "cancelled", cancelledAt: new Date() } }
+      );
+
+      if (result.matchedCount > 0) {
+        log(`🛑 Snapshot marked cancelled: ${instagramUsername}/${runId}`);
+      }
+      return result.matchedCount > 0;
+    } catch (err) {
+      log(`❌ Error marking snapshot cancelled: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Mark a run's snapshot as failed with `failure` ({ step, reason, message,
+   * stack, elapsedMs, screenshotUrl }). Runs that failed before saving a
+   * step get a snapshot document too, so every failure can be listed.
+   */
+  async markFailed(instagramUsername, runId, failure, locale = null) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        log('⚠️  MongoDB not available, cannot record failed scrape');
+        return false;
+      }
+
+      await database.collection(SNAPSHOTS_COLLECTION).updateOne(
+        { instagramUsername: instagramUsername, runId: runId },
+        {
+          $set: { status: "failed", failedAt: new Date(), failure },
+          $setOnInsert: {
+            createdAt: new Date(),
+            expiresAt: expiryDate("snapshot"), // This is used for TTL deletion
+            steps: [],
+            ...(locale && { locale })
+          }
+        },
+        { upsert: true }
+      );
+
+      log(`🧾 Snapshot marked failed: ${instagramUsername}/${runId} (${failure.reason})`);
+      return true;
+    } catch (err) {
+      log(`❌ Error marking snapshot failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Failed runs, newest first, optionally only those with one failure
+   * reason. Returns snapshot documents without parsed data or cards.
+   */
+  async listFailed({ reason = null, limit = 50 } = {}) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return null;
+      }
+
+      return await database
+        .collection(SNAPSHOTS_COLLECTION)
+        .find(
+          { status: "failed", ...(reason && { "failure.reason": reason }) },
+          { projection: { parsed: 0, cards: 0 } }
+        )
+        .sort({ failedAt: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (err) {
+      log(`❌ Error listing failed snapshots: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Number of failed runs per failure reason ({ [reason]: count })
+   */
+  async countFailedByReason() {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return null;
+      }
+
+      const groups = await database
+        .collection(SNAPSHOTS_COLLECTION)
+        .aggregate([
+          { $match: { status: "failed" } },
+          { $group: { _id: "$failure.reason", count: { $sum: 1 } } },
+        ])
+        .toArray();
+      return Object.fromEntries(groups.map(({ _id, count }) => [_id || "unknown", count]));
+    } catch (err) {
+      log(`❌ Error counting failed snapshots: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Keep a snapshot a paid order unlocked, with its HTML and the images its
+   * parsed data and cards link to, for the paid retention period
+   */
+  async retainPaid(snapshotId) {
+    try {
+      const database = await connectDB();
+      if (!database || !ObjectId.isValid(snapshotId)) {
+        return false;
+      }
+
+      const paidAt = new Date();
+      const retained = { paidAt, expiresAt: expiryDate("paid", paidAt) };
+      const snapshot = await database.collection(SNAPSHOTS_COLLECTION).findOneAndUpdate(
+        { _id: new ObjectId(snapshotId) },
+        { $set: retained },
+        { projection: { parsed: 1, cards: 1 } }
+      );
+      if (!snapshot) {
+        log(`⚠️  Snapshot ${snapshotId} is already gone, nothing to retain`);
+        return false;
+      }
+
+      const htmlCollection = database.collection(SNAPSHOT_HTML_COLLECTION);
+      await htmlCollection.updateMany({ snapshotId: new ObjectId(snapshotId) }, { $set: retained });
+
+      // Images linked from the parsed data, the cards and every step's HTML
+      const pages = await htmlCollection
+        .find({ snapshotId: new ObjectId(snapshotId) }, { projection: { html: 1 } })
+        .toArray();
+      const htmls = await Promise.all(pages.map(async (page) => (await gunzip(page.html.buffer)).toString("utf8")));
+      const hashes = [...new Set(
+        findStoredImageUrls(JSON.stringify([snapshot.parsed, snapshot.cards]) + htmls.join(""))
+          .map((url) => url.split("/").pop())
+      )];
+      if (hashes.length > 0) {
+        await database.collection(IMAGES_COLLECTION).updateMany(
+          { _id: { $in: hashes } },
+          { $set: { paidAt }, $max: { expiresAt: retained.expiresAt } }
+        );
+      }
+
+      log(`🔒 Snapshot ${snapshotId} retained until ${retained.expiresAt.toISOString()} (${hashes.length} images)`);
+      return true;
+    } catch (err) {
+      log(`❌ Error retaining paid snapshot: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get a snapshot step's HTML by snapshot ID and step name, as a stream of
+   * the decompressed body (null if not found)
+   */
+  async getStepStream(snapshotId, stepName) {
+    try {
+      const doc = await findStepHtml(snapshotId, stepName);
+      if (!doc) {
+        return null;
+      }
+
+      return Readable.from([Buffer.from(doc.html.buffer)]).pipe(zlib.createGunzip());
+    } catch (err) {
+      log(`❌ Error getting snapshot step: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get a snapshot step's HTML as a string (null if not found)
+   */
+  async getStepHtml(snapshotId, stepName) {
+    try {
+      const doc = await findStepHtml(snapshotId, stepName);
+      return doc ? (await gunzip(doc.html.buffer)).toString("utf8") : null;
+    } catch (err) {
+      log(`❌ Error getting snapshot step HTML: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get snapshot by ID without parsed data
+   */
+  async get(snapshotId) {
+    try {
+      const database = await connectDB();
+      if (!database || !ObjectId.isValid(snapshotId)) {
+        return null;
+      }
+
+      const collection = database.collection(SNAPSHOTS_COLLECTION);
+
+      return await collection.findOne(
+        { _id: new ObjectId(snapshotId) },
+        { projection: { parsed: 0 } }
+      );
+    } catch (err) {
+      log(`❌ Error getting snapshot: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store the parsed data of one step under parsed.<stepName>
+   */
+  async saveParsedStep(snapshotId, stepName, data) {
+    try {
+      const database = await connectDB();
+      if (!database || !ObjectId.isValid(snapshotId)) {
+        return false;
+      }
+
+      await database.collection(SNAPSHOTS_COLLECTION).updateOne(
+        { _id: new ObjectId(snapshotId) },
+        { $set: { [`parsed.${stepName}`]: data } }
+      );
+      return true;
+    } catch (err) {
+      log(`❌ Error saving parsed step: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get a snapshot's parsed step data (keyed by step name), or null if the snapshot is gone
+   */
+  async getParsed(snapshotId) {
+    try {
+      const database = await connectDB();
+      if (!database || !ObjectId.isValid(snapshotId)) {
+        return null;
+      }
+
+      const snapshot = await database.collection(SNAPSHOTS_COLLECTION).findOne(
+        { _id: new ObjectId(snapshotId) },
+        { projection: { parsed: 1, status: 1, selectorMatches: 1 } }
+      );
+      return snapshot
+        ? {
+            status: snapshot.status,
+            parsed: snapshot.parsed || {},
+            selectorMatches: snapshot.selectorMatches || {},
+          }
+        : null;
+    } catch (err) {
+      log(`❌ Error getting parsed snapshot: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Latest stored HTML of each named step in a funnel locale, across all snapshots.
+   * HTML saved before locales were recorded on it counts as DEFAULT_LOCALE.
+   * Returns { [stepName]: { html, snapshotId, capturedAt } } for the steps found.
+   */
+  async getLatestStepHtml(stepNames, locale = DEFAULT_LOCALE) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return null;
+      }
+
+      const collection = database.collection(SNAPSHOT_HTML_COLLECTION);
+      const pages = {};
+      for (const stepName of stepNames) {
+        const doc = await collection.findOne(
+          { step: stepName, locale: locale === DEFAULT_LOCALE ? { $in: [locale, null] } : locale },
+          { sort: { createdAt: -1 } }
+        );
+        if (doc) {
+          pages[stepName] = {
+            html: (await gunzip(doc.html.buffer)).toString("utf8"),
+            snapshotId: doc.snapshotId.toString(),
+            capturedAt: doc.capturedAt,
+          };
+        }
+      }
+      return pages;
+    } catch (err) {
+      log(`❌ Error getting latest step HTML: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get snapshot by username and runId
+   */
+  async getByRunId(instagramUsername, runId) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return null;
+      }
+
+      const collection = database.collection(SNAPSHOTS_COLLECTION);
+
+      const snapshot = await collection.findOne({
+        instagramUsername: instagramUsername,
+        runId: runId,
+        status: "completed"
+      });
+
+      return snapshot;
+    } catch (err) {
+      log(`❌ Error getting snapshot: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Check if recent snapshot exists (cache check) for a funnel locale.
+   * Snapshots saved before locales existed count as DEFAULT_LOCALE.
+   */
+  async getRecent(instagramUsername, maxAgeMinutes = 60, locale = DEFAULT_LOCALE) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return null;
+      }
+
+      const collection = database.collection(SNAPSHOTS_COLLECTION);
+
+      const cutoffTime = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+
+      const snapshot = await collection.findOne({
+        instagramUsername: instagramUsername,
+        createdAt: { $gte: cutoffTime },
+        status: "completed",
+        locale: locale === DEFAULT_LOCALE ? { $in: [locale, null] } : locale
+      }, { 
+        sort: { createdAt: -1 } 
+      });
+
+      return snapshot;
+    } catch (err) {
+      log(`❌ Error checking recent snapshot: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store images ({ hash, contentType, data }), deduplicated by hash. Images
+   * already stored are only marked as seen again.
+   */
+  async saveImages(images) {
+    if (images.length === 0) return true;
+
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return false;
+      }
+
+      const now = new Date();
+      const result = await database.collection(IMAGES_COLLECTION).bulkWrite(
+        images.map(({ hash, contentType, data }) => ({
+          updateOne: {
+            filter: { _id: hash },
+            update: {
+              $setOnInsert: { contentType, data, size: data.length, createdAt: now },
+              $set: { lastSeenAt: now },
+              // Lives as long as the newest snapshot or step HTML linking to it
+              $max: { expiresAt: expiryDate("image", now) },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+
+      log(`🖼️  Images stored: ${result.upsertedCount} new, ${images.length - result.upsertedCount} already known`);
+      return true;
+    } catch (err) {
+      log(`❌ Error saving images: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Stored image by hash as { contentType, data: Buffer }, or null
+   */
+  async getImage(hash) {
+    try {
+      const database = await connectDB();
+      if (!database) {
+        return null;
+      }
+
+      const image = await database.collection(IMAGES_COLLECTION).findOne({ _id: hash });
+      return image ? { contentType: image.contentType, data: Buffer.from(image.data.buffer) } : null;
+    } catch (err) {
+      log(`❌ Error getting image: ${err.message}`);
+      return null;
+    }
+  }
+}
@@ -1,5 +1,10 @@
 import { chromium } from "playwright";
 
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
 export async function launchBrowser() {
   return chromium.launch({
     headless: true,
@@ -18,3 +23,190 @@ export async function launchBrowser() {
   });
 }
 
+// Read lazily: server.js loads .env after static imports are evaluated
+const getPoolConfig = () => ({
+  maxSize: Number(process.env.BROWSER_POOL_SIZE) || 2,
+  maxUses: Number(process.env.BROWSER_MAX_USES) || 20,
+  contextsPerBrowser: Number(process.env.BROWSER_CONTEXTS_PER_BROWSER) || 1,
+});
+
+/**
+ * Pool of warm Chromium instances.
+ * Each scrape gets a fresh, isolated context on a pooled browser instead of
+ * paying a full browser launch. Browsers are recycled after `maxUses`
+ * contexts or as soon as they disconnect (crash).
+ * `launch` starts one browser (default: launchBrowser).
+ */
+export class BrowserPool {
+  constructor(config = null, { launch = launchBrowser } = {}) {
+    this.config = config;
+    this.launchBrowser = launch;
+    this.entries = []; // { id, browser, uses, active, retiring }
+    this.launching = 0;
+    this.waiting = []; // FIFO of resolve functions waiting for a slot
+    this.nextId = 1;
+  }
+
+  get maxSize() {
+    return (this.config || getPoolConfig()).maxSize;
+  }
+
+  get maxUses() {
+    return (this.config || getPoolConfig()).maxUses;
+  }
+
+  get contextsPerBrowser() {
+    return (this.config || getPoolConfig()).contextsPerBrowser;
+  }
+
+  /**
+   * Get an isolated browser context.
+   * Resolves to { context, release } - always call release() when done.
+   */
+  async acquire() {
+    const entry = await this.reserveEntry();
+    entry.uses += 1;
+
+    let context;
+    try {
+      context = await entry.browser.newContext();
+    } catch (err) {
+      // Browser died between reservation and use
+      entry.active -= 1;
+      this.retire(entry, `newContext failed: ${err.message}`);
+      this.wakeNext();
+      throw err;
+    }
+
+    log(`🧭 Context acquired on browser #${entry.id} (use ${entry.uses}/${this.maxUses})`);
+
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      try {
+        await context.close();
+      } catch (closeErr) {
+        // Context is gone with its browser, nothing to close
+      }
+      entry.active -= 1;
+
+      if (!entry.browser.isConnected()) {
+        this.retire(entry, "disconnected");
+      } else if (entry.uses >= this.maxUses) {
+        this.retire(entry, `reached ${this.maxUses} uses`);
+      } else if (entry.retiring) {
+        this.retire(entry, "retired while in use");
+      }
+      this.wakeNext();
+    };
+
+    return { context, release };
+  }
+
+  /**
+   * Find (or launch) a browser with a free context slot, waiting if the pool is full
+   */
+  async reserveEntry() {
+    for (;;) {
+      const free = this.entries.find(
+        (e) => !e.retiring && e.browser.isConnected() && e.active < this.contextsPerBrowser
+      );
+      if (free) {
+        free.active += 1;
+        return free;
+      }
+
+      if (this.entries.length + this.launching < this.maxSize) {
+        const entry = await this.launch();
+        entry.active += 1;
+        return entry;
+      }
+
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+  }
+
+  async launch() {
+    this.launching += 1;
+    let entry = null;
+    try {
+      const browser = await this.launchBrowser();
+      entry = { id: this.nextId++, browser, uses: 0, active: 0, retiring: false };
+      browser.on("disconnected", () => {
+        if (!entry.retiring) {
+          log(`💥 Browser #${entry.id} disconnected unexpectedly`);
+          this.retire(entry, "crashed");
+          this.wakeNext();
+        }
+      });
+      this.entries.push(entry);
+      log(`✅ Browser #${entry.id} launched (pool size ${this.entries.length}/${this.maxSize})`);
+      return entry;
+    } finally {
+      this.launching -= 1;
+      // A failed launch frees its slot: let the next waiter try
+      if (!entry) this.wakeNext();
+    }
+  }
+
+  /**
+   * Take a browser out of rotation; it is closed once its last context is released
+   */
+  retire(entry, reason) {
+    if (!entry.retiring) {
+      entry.retiring = true;
+      log(`♻️  Retiring browser #${entry.id} (${reason})`);
+    }
+    if (entry.active > 0) return;
+
+    this.entries = this.entries.filter((e) => e !== entry);
+    entry.browser.close().catch(() => {});
+  }
+
+  wakeNext() {
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+
+  /**
+   * Pre-launch browsers so the first requests don't pay startup time
+   */
+  async warm(count = 1) {
+    const target = Math.min(count, this.maxSize);
+    while (this.entries.length + this.launching < target) {
+      await this.launch();
+    }
+  }
+
+  /**
+   * Close every browser (used on shutdown)
+   */
+  async drain() {
+    const entries = this.entries;
+    this.entries = [];
+    await Promise.all(
+      entries.map((entry) => {
+        entry.retiring = true;
+        return entry.browser.close().catch(() => {});
+      })
+    );
+  }
+
+  getStatus() {
+    return {
+      maxSize: this.maxSize,
+      maxUses: this.maxUses,
+      browsers: this.entries.map((e) => ({
+        id: e.id,
+        uses: e.uses,
+        active: e.active,
+        retiring: e.retiring,
+      })),
+      waiting: this.waiting.length,
+    };
+  }
+}
+
+// Export singleton instance
+export const browserPool = new BrowserPool();
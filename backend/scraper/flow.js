@@ -0,0 +1,256 @@
+import { getSelectors } from "../../shared/parsers/index.js";
+
+/**
+ * Small step-flow engine for the scraper.
+ *
+ * A flow is an ordered array of plain step objects:
+ *
+ *   {
+ *     name:     "reveal",            // used in logs and errors
+ *     required: true,                // optional steps log and continue on failure
+ *     delay:    2000,                // ms to wait before the step starts
+ *     wait:     { selector, state, timeout }
+ *             | { registry: "landing.revealButton", timeout, fallback }
+ *             | { candidates: [...], timeout, fallback }
+ *             | { poll: async (page) => boolean, timeout, interval },
+ *     action:   async (ctx, target) => {},   // see `actions` below
+ *     settle:   500,                 // ms to wait after the action
+ *     snapshot: "landing" | { name, meta: async (ctx) => ({}) },
+ *     onError:  async (ctx, err) => "message to rethrow with",
+ *   }
+ *
+ * Every field except `name` is optional. Steps run in order; the value
+ * resolved by `wait` is handed to `action` as `target`.
+ *
+ * `registry` waits try the key's candidates from the shared selector
+ * registry (in ctx.locale's language) in order and record the one that matched in
+ * ctx.selectorMatches[key] as { index, selector } (index null when only
+ * `fallback` matched).
+ *
+ * ctx.signal (an AbortSignal) cancels the run: it is checked before every
+ * step, between candidate selectors and on every poll, and the flow then
+ * rejects with signal.reason - optional steps and onError hooks don't apply.
+ *
+ * A failed required step rethrows with error.step (the step name) and
+ * error.cause (the original error). The engine's own waits fail with
+ * err.code "SELECTOR_NOT_FOUND" (no candidate matched) or "WAIT_TIMEOUT"
+ * (a poll never came true).
+ */
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+/**
+ * Reusable actions for flow definitions
+ */
+export const actions = {
+  goto: (url, options = {}) => async (ctx) => {
+    const target = typeof url === "function" ? url(ctx) : url;
+    await ctx.page.goto(target, options);
+  },
+
+  click: () => async (ctx, target) => {
+    await target.click();
+  },
+
+  fill: (value) => async (ctx, target) => {
+    await target.fill(typeof value === "function" ? value(ctx) : value);
+  },
+};
+
+/**
+ * Record which candidate of a registry key matched on this run
+ */
+export const recordSelectorMatch = (ctx, key, index, selector) => {
+  ctx.selectorMatches = { ...ctx.selectorMatches, [key]: { index, selector } };
+  if (index !== 0) {
+    log(`⚠️  "${key}" matched ${index === null ? "only the generic fallback" : `fallback #${index}`}: ${selector}`);
+  }
+};
+
+/**
+ * Wait for the first visible match among candidate selectors,
+ * optionally falling back to any visible element matching `fallback`.
+ * Resolves { locator, index, selector }; index is null for `fallback`.
+ */
+async function waitForCandidates(page, { candidates, timeout = 3000, fallback }, signal) {
+  for (const [index, selector] of candidates.entries()) {
+    signal?.throwIfAborted();
+    try {
+      log(`🔍 Trying selector: ${selector}`);
+      const locator = page.locator(selector).first();
+      await locator.waitFor({ state: "visible", timeout });
+      if (await locator.isVisible()) {
+        log(`✅ Found element with selector: ${selector}`);
+        return { locator, index, selector };
+      }
+    } catch (e) {
+      log(`⚠️  Selector ${selector} not found, trying next...`);
+    }
+  }
+
+  if (fallback) {
+    log(`🔍 Trying any visible "${fallback}"...`);
+    const all = await page.locator(fallback).all();
+    for (const locator of all) {
+      if (await locator.isVisible()) {
+        const text = await locator.textContent();
+        log(`📋 Using visible ${fallback} with text: "${text?.trim()}"`);
+        return { locator, index: null, selector: fallback };
+      }
+    }
+  }
+
+  const err = new Error(`None of the candidate selectors matched: ${candidates.join(", ")}`);
+  err.code = "SELECTOR_NOT_FOUND";
+  throw err;
+}
+
+/**
+ * Poll a predicate until it returns true or the timeout expires
+ */
+async function waitForPoll(page, { poll, timeout = 60000, interval = 100, progressEvery = 3000 }, signal) {
+  const startedAt = Date.now();
+  let lastLogTime = 0;
+
+  while (Date.now() - startedAt < timeout) {
+    signal?.throwIfAborted();
+    try {
+      if (await poll(page)) {
+        log(`✅ Condition met after ${((Date.now() - startedAt) / 1000).toFixed(1)} seconds`);
+        return true;
+      }
+    } catch (e) {
+      // Page may be mid-navigation, keep polling
+    }
+
+    const elapsed = Date.now() - startedAt;
+    if (elapsed - lastLogTime > progressEvery) {
+      log(`⏳ Still waiting... ${(elapsed / 1000).toFixed(1)}s elapsed`);
+      lastLogTime = elapsed;
+    }
+
+    await page.waitForTimeout(interval);
+  }
+
+  const err = new Error(`Condition not met within ${timeout}ms`);
+  err.code = "WAIT_TIMEOUT";
+  throw err;
+}
+
+/**
+ * First registry candidate for `key` present on the page (visible or not),
+ * recorded in ctx.selectorMatches. Throws when none is.
+ */
+export async function locateRegistered(ctx, key) {
+  const candidates = getSelectors(key, ctx.locale);
+  for (const [index, selector] of candidates.entries()) {
+    const locator = ctx.page.locator(selector);
+    if ((await locator.count()) > 0) {
+      recordSelectorMatch(ctx, key, index, selector);
+      return locator.first();
+    }
+  }
+  const err = new Error(`No candidate for "${key}" matched: ${candidates.join(", ")}`);
+  err.code = "SELECTOR_NOT_FOUND";
+  throw err;
+}
+
+async function waitForCondition(ctx, wait) {
+  const { page } = ctx;
+  if (!wait) return null;
+  if (wait.registry) {
+    const { locator, index, selector } = await waitForCandidates(
+      page,
+      { ...wait, candidates: getSelectors(wait.registry, ctx.locale) },
+      ctx.signal
+    );
+    recordSelectorMatch(ctx, wait.registry, index, selector);
+    return locator;
+  }
+  if (wait.candidates) return (await waitForCandidates(page, wait, ctx.signal)).locator;
+  if (wait.poll) return waitForPoll(page, wait, ctx.signal);
+  return page.waitForSelector(wait.selector, {
+    state: wait.state || "visible",
+    timeout: wait.timeout,
+  });
+}
+
+async function takeSnapshot(ctx, snapshot) {
+  if (!snapshot) return;
+  if (typeof snapshot === "string") {
+    await ctx.captureStep(snapshot);
+    return;
+  }
+  const meta = snapshot.meta ? await snapshot.meta(ctx) : {};
+  await ctx.captureStep(snapshot.name, meta || {});
+}
+
+/**
+ * Run a single step. Errors propagate to the caller.
+ */
+async function runStep(step, ctx) {
+  const { page } = ctx;
+
+  if (step.delay) {
+    await page.waitForTimeout(step.delay);
+  }
+
+  const target = await waitForCondition(ctx, step.wait);
+
+  if (step.action) {
+    await step.action(ctx, target);
+  }
+
+  if (step.settle) {
+    await page.waitForTimeout(step.settle);
+  }
+
+  await takeSnapshot(ctx, step.snapshot);
+}
+
+/**
+ * Run a flow definition against `ctx.page`.
+ * ctx must provide { page, captureStep } and may carry any other
+ * state the step actions need (username, options, results...).
+ */
+export async function runFlow(flow, ctx) {
+  for (const step of flow) {
+    const required = step.required !== false;
+    log(`▶️  Step "${step.name}"${required ? "" : " (optional)"}`);
+
+    try {
+      ctx.signal?.throwIfAborted();
+      await runStep(step, ctx);
+      log(`✅ Step "${step.name}" done`);
+    } catch (err) {
+      if (ctx.signal?.aborted) {
+        log(`🛑 Flow cancelled at step "${step.name}"`);
+        throw ctx.signal.reason;
+      }
+      if (!required) {
+        log(`⚠️  Optional step "${step.name}" skipped:`, err.message);
+        continue;
+      }
+
+      log(`❌ Step "${step.name}" failed:`, err.message);
+      let message = err.message;
+      if (step.onError) {
+        try {
+          message = (await step.onError(ctx, err)) || message;
+        } catch (hookErr) {
+          log(`⚠️  onError hook for "${step.name}" failed:`, hookErr.message);
+        }
+      }
+
+      const error = new Error(message);
+      error.step = step.name;
+      error.cause = err;
+      throw error;
+    }
+  }
+
+  return ctx;
+}
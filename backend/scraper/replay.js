@@ -0,0 +1,250 @@
+import express from "express";
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { JSDOM } from "jsdom";
+import { isStoredImageUrl } from "../../shared/parsers/index.js";
+
+/**
+ * Offline stand-in for the source site.
+ * Serves captured step HTML and advances between steps on the same
+ * clicks the live funnel reacts to, so scrape() can run with no network.
+ */
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+// Order in which captureStep names appear during a normal run
+export const REPLAY_STEPS = [
+  "landing",
+  "username-entry",
+  "analyzing",
+  "profile-confirm",
+  "processing",
+  "results",
+  "full-report",
+];
+
+// How the live site moves from one step to the next: a click on a
+// button with one of the texts (one per funnel locale), or a timer
+const TRANSITIONS = {
+  landing: { click: ["Reveal Stalkers", "Revelar"] },
+  "username-entry": { click: ["Continue", "Continuar"] },
+  analyzing: { after: 1500 },
+  "profile-confirm": { click: ["profile is correct", "perfil está correto"] },
+  processing: { after: 2000 },
+  results: { click: ["View Full Report", "Ver relatório completo"] },
+};
+
+/**
+ * Load step pages from a directory of `<step>.html` files.
+ * Numbered names from the old on-disk layout (`06-results.html`) work too.
+ */
+export async function loadPagesFromDir(dir) {
+  const pages = {};
+  const files = await readdir(dir);
+
+  for (const file of files) {
+    if (!file.endsWith(".html")) continue;
+    const stepName = file.replace(/\.html$/, "").replace(/^\d+-/, "");
+    if (!REPLAY_STEPS.includes(stepName)) continue;
+    pages[stepName] = await readFile(path.join(dir, file), "utf8");
+  }
+
+  return pages;
+}
+
+/**
+ * Load step pages from a stored snapshot run, from `snapshots` (a snapshot
+ * repository; default: the configured storage)
+ */
+export async function loadPagesFromSnapshot(snapshotId, snapshots = null) {
+  if (!snapshots) {
+    const { getRepositories } = await import("../repositories/index.js");
+    snapshots = getRepositories().snapshots;
+  }
+  const pages = {};
+
+  for (const stepName of REPLAY_STEPS) {
+    const html = await snapshots.getStepHtml(snapshotId, stepName);
+    if (html) {
+      pages[stepName] = html;
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Find the next captured step after `stepName`, skipping any the run never saved
+ */
+const nextStep = (pages, stepName) =>
+  REPLAY_STEPS.slice(REPLAY_STEPS.indexOf(stepName) + 1).find((name) => pages[name]) || null;
+
+const buildReplayScript = (transition, next) => `
+<script>
+(function () {
+  var transition = ${JSON.stringify(transition)};
+  var next = ${JSON.stringify(next ? `/replay/${next}` : null)};
+  if (!next) return;
+  if (transition.after) {
+    setTimeout(function () { window.location.href = next; }, transition.after);
+    return;
+  }
+  document.addEventListener("click", function (event) {
+    var button = event.target.closest("button, a");
+    if (!button) return;
+    var text = button.textContent || "";
+    if (!transition.click.some(function (label) { return text.indexOf(label) !== -1; })) return;
+    event.preventDefault();
+    window.location.href = next;
+  }, true);
+})();
+</script>`;
+
+/**
+ * Strip the captured page's own scripts and remote assets, then
+ * inject the transition script for this step
+ */
+export function prepareReplayHtml(html, stepName, pages) {
+  const transition = TRANSITIONS[stepName];
+  const script = transition ? buildReplayScript(transition, nextStep(pages, stepName)) : "";
+
+  const cleaned = html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, "")
+    .replace(/<link\b[^>]*href=["']https?:\/\/[^>]*>/gi, "");
+
+  if (/<\/body>/i.test(cleaned)) {
+    return cleaned.replace(/<\/body>/i, `${script}</body>`);
+  }
+  return `${cleaned}${script}`;
+}
+
+// Stand-in for captured photos: a flat grey PNG, stored uncompressed so its
+// data: URL is as long as a real profile picture's (parsers go by length)
+const PLACEHOLDER_IMAGE = (() => {
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+
+  const size = 24;
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header.set([8, 0, 0, 0, 0], 8); // 8-bit greyscale
+  const rows = Buffer.alloc(size * (size + 1), 0x99);
+  for (let row = 0; row < size; row++) rows[row * (size + 1)] = 0; // filter: none
+
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(rows, { level: 0 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+  return `data:image/png;base64,${png.toString("base64")}`;
+})();
+
+const INLINE_PHOTO_REGEX = /data:image\/(?!svg)[a-z0-9.+-]+;base64,[A-Za-z0-9+/=]+/gi;
+const STORED_IMAGE_LINK_REGEX = /\/api\/images\/[a-f0-9]{64}/g;
+const HANDLE_REGEX = /@([A-Za-z0-9._]{2,30})/g;
+
+/**
+ * Turn a captured step page into a fixture that is safe to commit: scripts
+ * dropped, photos replaced by a placeholder and every @handle (the scraped
+ * profile's as @<username>, the others as @user_1, @user_2, ...) renamed
+ * consistently across calls that share `handles` (a Map).
+ */
+export function sanitizeCapture(html, { scrapedUsername, username = "fixture_user", handles = new Map() } = {}) {
+  const rename = (handle) => {
+    const key = handle.toLowerCase();
+    if (scrapedUsername && key === scrapedUsername.toLowerCase()) return username;
+    if (!handles.has(key)) handles.set(key, `user_${handles.size + 1}`);
+    return handles.get(key);
+  };
+  const renameHandles = (text) => text.replace(HANDLE_REGEX, (match, handle) => `@${rename(handle)}`);
+
+  const dom = new JSDOM(
+    html
+      .replace(INLINE_PHOTO_REGEX, (url) => (url.length < 500 ? url : PLACEHOLDER_IMAGE))
+      .replace(STORED_IMAGE_LINK_REGEX, (url) => (isStoredImageUrl(url) ? PLACEHOLDER_IMAGE : url))
+  );
+  const { document, NodeFilter } = dom.window;
+
+  document.querySelectorAll("script, noscript").forEach((element) => element.remove());
+
+  const walker = document.createTreeWalker(document.body || document, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    node.textContent = renameHandles(node.textContent);
+  }
+  document.querySelectorAll("[alt], [title], [aria-label], input[value]").forEach((element) => {
+    for (const name of ["alt", "title", "aria-label", "value"]) {
+      if (element.hasAttribute(name)) element.setAttribute(name, renameHandles(element.getAttribute(name)));
+    }
+  });
+  if (scrapedUsername) {
+    document.querySelectorAll("input[value]").forEach((element) => {
+      if (element.value.replace(/^@/, "").toLowerCase() === scrapedUsername.toLowerCase()) {
+        element.setAttribute("value", username);
+      }
+    });
+  }
+
+  return dom.serialize();
+}
+
+/**
+ * Start the replay server.
+ * Returns { url, entryUrl, close } - point scrape() at entryUrl.
+ */
+export async function startReplayServer(pages, { port = 0 } = {}) {
+  const available = REPLAY_STEPS.filter((name) => pages[name]);
+  if (!pages.landing) {
+    throw new Error("Replay needs at least a landing page");
+  }
+
+  const app = express();
+
+  app.get("/replay/:stepName", (req, res) => {
+    const { stepName } = req.params;
+    const html = pages[stepName];
+    if (!html) {
+      return res.status(404).send(`No captured page for step "${stepName}"`);
+    }
+    log(`🔁 Replaying step: ${stepName}`);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(prepareReplayHtml(html, stepName, pages));
+  });
+
+  // Anything else the page asks for (fonts, analytics, ...) is not replayed
+  app.use((req, res) => res.status(404).end());
+
+  const server = await new Promise((resolve) => {
+    const instance = app.listen(port, "127.0.0.1", () => resolve(instance));
+  });
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  log(`🔁 Replay server listening on ${url} (steps: ${available.join(", ")})`);
+
+  return {
+    url,
+    entryUrl: `${url}/replay/landing`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
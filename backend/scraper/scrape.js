@@ -1,6 +1,16 @@
-import { launchBrowser } from "./browser.js";
-import { elements } from "./selectors.js";
-import { saveSnapshotStep, saveSnapshotResult } from "../utils/mongodb.js";
+import { browserPool } from "./browser.js";
+import { runFlow } from "./flow.js";
+import { stalkersFlow } from "./stalkersFlow.js";
+import { getRepositories } from "../repositories/index.js";
+import { storeInlineImages, storeImage } from "../utils/images.js";
+import {
+  parseStep,
+  checkParsedStep,
+  summarizeDiagnostics,
+  normalizeLocale,
+  DEFAULT_LOCALE,
+  STEP_SCHEMA_VERSIONS,
+} from "./parseSnapshots.js";
 import { writeFile } from "fs/promises";
 
 const DEBUG_SCRAPE = process.env.DEBUG_SCRAPE === "1";
@@ -10,15 +20,56 @@ const log = (message, data = null) => {
   console.log(`[${timestamp}] ${message}`, data || "");
 };
 
-export async function scrape(username, onStep = null) {
+/**
+ * Why a scrape failed, recorded on the snapshot as failure.reason
+ */
+export const FAILURE_REASONS = {
+  SELECTOR_NOT_FOUND: "selector_not_found", // the page no longer has what a step waits for
+  TIMEOUT: "timeout", // a wait or navigation ran out of time
+  NAVIGATION: "navigation", // the site could not be loaded
+  BROWSER_CLOSED: "browser_closed", // the page, context or browser went away
+  UNKNOWN: "unknown",
+};
+
+/**
+ * FAILURE_REASONS value for an error thrown by scrape()
+ */
+export function classifyFailure(error) {
+  const cause = error?.cause || error;
+  const message = cause?.message || "";
+  if (cause?.code === "SELECTOR_NOT_FOUND") return FAILURE_REASONS.SELECTOR_NOT_FOUND;
+  if (cause?.code === "WAIT_TIMEOUT" || cause?.name === "TimeoutError") return FAILURE_REASONS.TIMEOUT;
+  if (/net::ERR_|NS_ERROR_/.test(message)) return FAILURE_REASONS.NAVIGATION;
+  if (/(Target|page|context|browser).*closed/i.test(message)) return FAILURE_REASONS.BROWSER_CLOSED;
+  return FAILURE_REASONS.UNKNOWN;
+}
+
+/**
+ * Run the stalkers funnel for one username.
+ * options.locale picks the funnel language (entry URL, button texts and
+ * parser text); options.sourceUrl overrides the entry URL (used by replay mode).
+ * options.signal (AbortSignal) cancels the scrape: the browser context is
+ * closed right away, no more steps are saved, the snapshot is marked
+ * cancelled and the promise rejects with signal.reason.
+ * Any other failure is recorded on the snapshot (status "failed", with the
+ * step, reason, error and a screenshot of the page) before it is rethrown.
+ */
+export async function scrape(username, onStep = null, options = {}) {
   const startTime = Date.now();
-  log(`🚀 Starting scrape for username: ${username}`);
-  
-  const browser = await launchBrowser();
-  log('✅ Browser launched');
-  
-  const page = await browser.newPage();
-  log('✅ New page created');
+  const locale = normalizeLocale(options.locale) || DEFAULT_LOCALE;
+  const { signal } = options;
+  signal?.throwIfAborted();
+  log(`🚀 Starting scrape for username: ${username} (locale: ${locale})`);
+
+  // Set inside the try, so a failed acquire or newPage is recorded like any other failure
+  let release = null;
+  let page = null;
+
+  // Closing the context makes any in-flight Playwright call fail fast
+  const onAbort = () => {
+    log(`🛑 Scrape for ${username} cancelled, closing browser context`);
+    release?.();
+  };
 
   const runId = `${Date.now()}`;
   const steps = [];
@@ -26,15 +77,17 @@ export async function scrape(username, onStep = null) {
   let snapshotId = null; // Will be set after first save
 
   const captureStep = async (name, meta = {}) => {
+    if (signal?.aborted) return null;
     try {
       stepIndex += 1;
-      const html = await page.content();
+      // Large inline images go to the image store; HTML and parsed data link to them
+      const html = await storeInlineImages(await page.content());
       
-      // Save to MongoDB
-      const result = await saveSnapshotStep(username, runId, name, html, meta);
+      // Save to snapshot storage
+      const result = await getRepositories().snapshots.saveStep(username, runId, name, html, meta, locale);
       
       if (!result || !result.snapshotId) {
-        log(`⚠️  Failed to save snapshot step "${name}" to MongoDB`);
+        log(`⚠️  Failed to save snapshot step "${name}"`);
         return null;
       }
 
@@ -43,17 +96,34 @@ export async function scrape(username, onStep = null) {
         snapshotId = result.snapshotId;
       }
 
+      // Parse before emitting the step so /parsed already has it when clients ask
+      const parsed = parseStep(name, html, { locale });
+      if (parsed) {
+        // Diagnostics are stored with the data (parsed.<step>.diagnostics)
+        await getRepositories().snapshots.saveParsedStep(result.snapshotId, name, parsed);
+        const problems = summarizeDiagnostics(parsed.diagnostics);
+        if (problems) {
+          log(`⚠️  Parser for "${name}" fell short: ${problems}`, parsed.diagnostics.missedSelectors);
+        } else {
+          log(`🧩 Parsed data stored for "${name}"`);
+        }
+        const schemaIssues = checkParsedStep(name, parsed);
+        if (schemaIssues.length > 0) {
+          log(`⚠️  Parsed "${name}" does not match schema v${STEP_SCHEMA_VERSIONS[name]}`, schemaIssues.slice(0, 10));
+        }
+      }
+
       const entry = {
         name,
         htmlPath: `/api/snapshots/${result.snapshotId}/${name}`, // API endpoint
         meta: { ...meta, capturedAt: new Date().toISOString() },
       };
       steps.push(entry);
-      log(`📝 Snapshot saved for "${name}" to MongoDB (ID: ${result.snapshotId})`);
+      log(`📝 Snapshot saved for "${name}" (ID: ${result.snapshotId})`);
       
       // Emit step immediately if callback provided (for SSE streaming)
       if (onStep) {
-        onStep(entry);
+        onStep(entry, result.snapshotId);
       }
       
       return entry;
@@ -64,312 +134,51 @@ export async function scrape(username, onStep = null) {
   };
 
   try {
-    // Step 1: Navigate to page - use domcontentloaded for faster load
-    log('📍 Navigating to page...');
-    await page.goto("https://oseguidorsecreto.com/pv-en", {
-      waitUntil: "domcontentloaded",
-      timeout: 20000,
-    });
-    log('✅ Page loaded');
-    await captureStep("landing", { url: page.url() });
-
-    // Step 2: Find and click "Reveal Stalkers" button immediately (no start button exists)
-    log('🔍 Looking for "Reveal Stalkers" button...');
-    const revealButtonSelector = "button:has-text('Reveal Stalkers')";
-    
-    try {
-      // Wait for button with shorter timeout
-      await page.waitForSelector(revealButtonSelector, { 
-        timeout: 10000,
-        state: 'visible' 
-      });
-      log('✅ "Reveal Stalkers" button found');
-      
-      // Click immediately
-      await page.click(revealButtonSelector);
-      log('✅ Clicked "Reveal Stalkers" button');
-    } catch (err) {
-      log('❌ Error finding "Reveal Stalkers" button:', err.message);
-      const buttons = await page.$$eval('button', buttons => 
-        buttons.map(b => b.textContent?.trim()).filter(Boolean)
-      );
-      log('📋 Available buttons on page:', buttons);
-      throw new Error(`Could not find "Reveal Stalkers" button. Available buttons: ${buttons.join(', ')}`);
-    }
-
-    // Step 3: Wait for input field and enter username
-    log(`⌨️  Waiting for username input field...`);
-    try {
-      // Wait for input field to appear (after clicking Reveal Stalkers)
-      const input = await page.waitForSelector('input[type="text"], input', { 
-        timeout: 8000,
-        state: 'visible' 
-      });
-      log('✅ Username input found');
-      
-      // Fill username immediately
-      await input.fill(username);
-      log(`✅ Username "${username}" entered`);
-      await captureStep("username-entry", { username });
-    } catch (err) {
-      log('❌ Error finding username input:', err.message);
-      const inputs = await page.$$eval('input, textarea', inputs => 
-        inputs.map(inp => ({
-          type: inp.type,
-          placeholder: inp.placeholder,
-          name: inp.name,
-          id: inp.id,
-          className: inp.className
-        }))
-      );
-      log('📋 Available inputs on page:', inputs);
-      throw new Error(`Could not find username input. Available inputs: ${JSON.stringify(inputs)}`);
-    }
-
-    // Step 4: Click first "Continue" button
-    log('🔍 Looking for Continue button...');
-    try {
-      const continueBtn = await page.waitForSelector(elements.continueBtn, { 
-        timeout: 8000,
-        state: 'visible' 
-      });
-      log('✅ Continue button found');
-      
-      // Click immediately - no wait
-      await continueBtn.click();
-      log('✅ Clicked Continue button');
-      
-      // Minimal wait for page to update (just 100ms)
-      await page.waitForTimeout(100);
-      log("⏳ Waiting for analyzing view...");
-      try {
-        await page.waitForSelector("text=Analyzing", { timeout: 8000 });
-        await captureStep("analyzing");
-      } catch (waitErr) {
-        log("⚠️  Could not capture analyzing view:", waitErr.message);
-      }
-    } catch (err) {
-      log('❌ Error finding Continue button:', err.message);
-      throw new Error(`Could not find Continue button: ${err.message}`);
-    }
-
-    // Step 5: Click "Continue, the profile is correct" button
-    log('🔍 Looking for profile confirmation button...');
-    try {
-      // Wait for page to update after clicking Continue
-      await page.waitForTimeout(2000);
-      
-      // First, capture the profile-confirm snapshot (we're already on that page)
-      try {
-        const displayedHandle = await page
-          .locator("text=/^@/i")
-          .first()
-          .textContent();
-        await captureStep("profile-confirm", {
-          displayedHandle: displayedHandle?.trim() || null,
-        });
-      } catch (handleErr) {
-        await captureStep("profile-confirm");
-        log("⚠️  Unable to capture profile confirm metadata:", handleErr.message);
-      }
-      
-      // Try to find button using locator API (more flexible)
-      let confirmButton = null;
-      const buttonTexts = [
-        "Continue, the profile is correct",
-        "profile is correct",
-        "Continue",
-      ];
-      
-      for (const buttonText of buttonTexts) {
-        try {
-          log(`🔍 Trying to find button with text: "${buttonText}"`);
-          const locator = page.locator(`button:has-text("${buttonText}")`).first();
-          
-          // Wait for button to be visible
-          await locator.waitFor({ state: 'visible', timeout: 3000 });
-          
-          // Check if it's actually visible
-          const isVisible = await locator.isVisible();
-          if (isVisible) {
-            confirmButton = locator;
-            log(`✅ Profile confirmation button found with text: "${buttonText}"`);
-            break;
-          }
-        } catch (e) {
-          log(`⚠️  Button with text "${buttonText}" not found, trying next...`);
-          continue;
-        }
-      }
-      
-      // If still not found, try to find any visible button
-      if (!confirmButton) {
-        log('🔍 Trying to find any visible button...');
-        try {
-          const allButtons = await page.locator('button').all();
-          for (const btn of allButtons) {
-            const isVisible = await btn.isVisible();
-            if (isVisible) {
-              const text = await btn.textContent();
-              log(`📋 Found visible button with text: "${text?.trim()}"`);
-              confirmButton = btn;
-              break;
-            }
-          }
-        } catch (e) {
-          log('⚠️  Could not find any visible buttons');
-        }
-      }
-      
-      if (!confirmButton) {
-        // Log all buttons for debugging
-        const allButtons = await page.evaluate(() => {
-          const buttons = Array.from(document.querySelectorAll('button'));
-          return buttons.map(b => ({
-            text: b.textContent?.trim(),
-            visible: b.offsetParent !== null,
-            className: b.className,
-            id: b.id,
-            type: b.type
-          }));
-        });
-        log('📋 All buttons on page:', JSON.stringify(allButtons, null, 2));
-        throw new Error('No profile confirmation button found');
-      }
-
-      // Click the button
-      await confirmButton.click();
-      log('✅ Clicked profile confirmation button');
-      
-      // Wait for page to update
-      await page.waitForTimeout(500);
-    } catch (err) {
-      log('❌ Error finding profile confirmation button:', err.message);
-      // Try to capture the current state for debugging
-      try {
-        await captureStep("profile-confirm-error");
-        log('📸 Captured error state snapshot');
-      } catch (snapshotErr) {
-        log('⚠️  Could not capture error snapshot:', snapshotErr.message);
-      }
-      throw new Error(`Could not find profile confirmation button: ${err.message}`);
+    const pooled = await browserPool.acquire();
+    release = pooled.release;
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
     }
 
-    try {
-      log("⏳ Waiting for processing view...");
-      await page.waitForSelector("text=Processing data", { timeout: 10000 });
-      await captureStep("processing");
-    } catch (procErr) {
-      log("⚠️  Could not capture processing view:", procErr.message);
-    }
-
-    // Step 6: Wait for analysis to complete and cards to appear (~35 seconds)
-    // Use ultra-aggressive polling - check every 100ms for fastest detection
-    log('⏳ Waiting for analysis to complete (this takes ~35 seconds)...');
-    
-    const analysisStartTime = Date.now();
-    const maxWaitTime = 60000; // Max 60 seconds
-    const pollInterval = 100; // Check every 100ms - ultra fast!
-    let cardsFound = false;
-    let lastLogTime = 0;
-    
-    // Use aggressive polling with minimal overhead
-    while (!cardsFound && (Date.now() - analysisStartTime) < maxWaitTime) {
-      try {
-        // Ultra-fast check using evaluate - single DOM query
-        const result = await page.evaluate((selector) => {
-          const cards = document.querySelectorAll(selector);
-          if (cards.length === 0) return false;
-          
-          // Check if at least one card is visible
-          for (const card of cards) {
-            const rect = card.getBoundingClientRect();
-            if (rect.width > 0 && rect.height > 0) {
-              return true;
-            }
-          }
-          return false;
-        }, elements.finalCard);
-        
-        if (result) {
-          cardsFound = true;
-          const elapsed = ((Date.now() - analysisStartTime) / 1000).toFixed(1);
-          log(`✅ Cards appeared after ${elapsed} seconds!`);
-          break;
-        }
-      } catch (e) {
-        // Continue polling
-      }
-      
-      // Log progress every 3 seconds (less frequent logging = faster)
-      const elapsed = Date.now() - analysisStartTime;
-      if (elapsed - lastLogTime > 3000) {
-        log(`⏳ Still waiting... ${(elapsed / 1000).toFixed(1)}s elapsed`);
-        lastLogTime = elapsed;
-      }
-      
-      // Very short wait before next poll
-      await page.waitForTimeout(pollInterval);
-    }
-    
-    if (!cardsFound) {
-      throw new Error('Cards did not appear within timeout period');
-    }
-
-    await captureStep("results");
-
-    // Cards are already verified in step 6 polling, proceed to extraction
-
-    log('📦 Extracting card data...');
-    const data = await page.evaluate(() => {
-      const cards = [...document.querySelectorAll("div[role='group']")];
-
-      return cards.map((el, index) => {
-        const imageDiv = el.querySelector("div[style*='background-image']");
-        const name = el.querySelector("h4")?.textContent.trim();
-
-        return {
-          username: name,
-          image: imageDiv?.style.backgroundImage
-            .replace(/url\(["']?(.*?)["']?\)/, "$1") || null
-        };
-      });
+    page = await pooled.context.newPage();
+    log('✅ New page created');
+
+    const ctx = await runFlow(stalkersFlow, {
+      page,
+      username,
+      sourceUrl: options.sourceUrl,
+      locale,
+      signal,
+      captureStep,
+      log,
+      cards: [],
+      selectorMatches: {},
     });
-    
-    log(`📊 Found ${data.length} cards in DOM`);
+    signal?.throwIfAborted();
+    const data = await Promise.all(
+      ctx.cards.map(async (card) => ({ ...card, image: await storeInlineImages(card.image) }))
+    );
 
     log(`✅ Successfully extracted ${data.length} cards`);
     log('📊 Card data:', data);
 
-    try {
-      const viewFullReportBtn = await page.waitForSelector(
-        'button:has-text("View Full Report")',
-        { timeout: 5000 }
-      );
-      await viewFullReportBtn.click();
-      await page.waitForTimeout(500);
-      await captureStep("full-report");
-      log("📸 Captured full report snapshot");
-    } catch (reportErr) {
-      log("ℹ️ View Full Report button not available:", reportErr.message);
-    }
-
     if (DEBUG_SCRAPE) {
       const html = await page.content();
       await writeFile('debug-latest.html', html, 'utf8');
       log('📝 Debug HTML saved to debug-latest.html');
     }
 
-    await browser.close();
-    log('✅ Browser closed');
+    await release();
+    log('✅ Browser context released');
     
-    // Save final result to MongoDB with cards
-    await saveSnapshotResult(username, runId, data, steps);
+    // Save final result with cards and the registry candidates the flow matched
+    await getRepositories().snapshots.saveResult(username, runId, data, steps, ctx.selectorMatches);
     
     // snapshotId should already be set from captureStep, but verify
     if (!snapshotId) {
-      const { getSnapshotByRunId } = await import("../utils/mongodb.js");
-      const savedSnapshot = await getSnapshotByRunId(username, runId);
+      const savedSnapshot = await getRepositories().snapshots.getByRunId(username, runId);
       snapshotId = savedSnapshot?._id?.toString() || null;
     }
     
@@ -382,24 +191,47 @@ export async function scrape(username, onStep = null) {
       snapshotId, // Include snapshot ID for frontend
       steps, // Steps already have correct htmlPath
       cards: data,
+      locale,
       totalTime,
     };
   } catch (error) {
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    log('❌ Scraping failed:', error.message);
+
+    if (signal?.aborted) {
+      log(`🛑 Scrape cancelled after ${totalTime} seconds`);
+      await release?.();
+      await getRepositories().snapshots.markCancelled(username, runId);
+      throw signal.reason;
+    }
+
+    const reason = classifyFailure(error);
+    log(`❌ Scraping failed${error.step ? ` at step "${error.step}"` : ""} (${reason}):`, error.message);
     log('📋 Error stack:', error.stack);
     log(`⏱️  Time before failure: ${totalTime} seconds`);
     
-    // Try to take a screenshot for debugging
-    try {
-      await page.screenshot({ path: 'error-screenshot.png', fullPage: true });
-      log('📸 Error screenshot saved to error-screenshot.png');
-    } catch (screenshotErr) {
-      log('⚠️  Could not take screenshot:', screenshotErr.message);
+    // Screenshot of the page as it failed, kept in the image store with the run
+    let screenshotUrl = null;
+    if (page) {
+      try {
+        screenshotUrl = await storeImage(await page.screenshot({ fullPage: true }), "image/png");
+        log(`📸 Error screenshot stored: ${screenshotUrl}`);
+      } catch (screenshotErr) {
+        log('⚠️  Could not take screenshot:', screenshotErr.message);
+      }
     }
     
-    await browser.close();
+    await release?.();
+    await getRepositories().snapshots.markFailed(username, runId, {
+      step: error.step || null,
+      reason,
+      message: error.message,
+      stack: [error.stack, error.cause?.stack].filter(Boolean).join("\nCaused by: ") || null,
+      elapsedMs: Date.now() - startTime,
+      screenshotUrl,
+    }, locale);
     throw error;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
@@ -0,0 +1,44 @@
+import { countMatches, listSelectorEntries } from "../../shared/parsers/index.js";
+import { htmlToDocument } from "./parseSnapshots.js";
+
+/**
+ * Selector health checks: every entry of the shared selector registry
+ * (shared/parsers/registry.js), evaluated against captured HTML of the
+ * step it belongs to. Run with `npm run check-selectors`.
+ *
+ * An entry passes on its first candidate. Matching only a later
+ * (fallback) candidate warns: the site has moved on and the entry should
+ * be updated. Entries with required: false only warn when nothing matches.
+ */
+
+/**
+ * Run every check for a funnel locale against pages ({ [step]: html }).
+ * Returns one row per registry entry:
+ * { key, step, name, candidates, verified, required, matchedIndex, matched, count, status }
+ * where status is "pass" | "fail" | "warn" | "missing" (no HTML for the step).
+ */
+export function runSelectorChecks(pages, locale, entries = listSelectorEntries(locale)) {
+  const documents = {};
+  const documentFor = (step) => {
+    if (!(step in documents)) {
+      documents[step] = pages[step] ? htmlToDocument(pages[step]) : null;
+    }
+    return documents[step];
+  };
+
+  return entries.map((entry) => {
+    const doc = documentFor(entry.step);
+    if (!doc) {
+      return { ...entry, matchedIndex: null, matched: null, count: 0, status: entry.required ? "missing" : "warn" };
+    }
+
+    const matchedIndex = entry.candidates.findIndex((selector) => countMatches(doc, selector) > 0);
+    if (matchedIndex === -1) {
+      return { ...entry, matchedIndex: null, matched: null, count: 0, status: entry.required ? "fail" : "warn" };
+    }
+
+    const matched = entry.candidates[matchedIndex];
+    const status = matchedIndex === 0 ? "pass" : "warn";
+    return { ...entry, matchedIndex, matched, count: countMatches(doc, matched), status };
+  });
+}
@@ -1,7 +0,0 @@
-export const elements = {
-  input: 'input[type="text"]',
-  continueBtn: 'button:has-text("Continue")',
-  profileConfirmBtn: 'button:has-text("Continue, the profile is correct"), button:has-text("profile is correct")',
-  finalCard: 'div[role="group"]'
-};
-
@@ -0,0 +1,178 @@
+import { actions, locateRegistered, recordSelectorMatch } from "./flow.js";
+import { getSelectors } from "../../shared/parsers/index.js";
+
+/**
+ * Funnel definition for oseguidorsecreto.com.
+ * When the site changes its steps, edit this list - not scrape.js.
+ * Selectors live in the shared selector registry (shared/parsers/registry.js).
+ */
+
+// Funnel entry URL per locale (see shared/parsers/locales.js)
+export const SOURCE_URLS = {
+  en: "https://oseguidorsecreto.com/pv-en",
+  pt: "https://oseguidorsecreto.com/pv",
+};
+
+export const SOURCE_URL = SOURCE_URLS.en;
+
+// Locales /api/stalkers and /api/jobs scrape live. pt joins once its registry
+// entries are verified against a capture of the pt funnel; until then it is
+// only for replay and check-selectors.
+export const LIVE_LOCALES = ["en"];
+
+const listButtons = (page) =>
+  page.$$eval("button", (buttons) =>
+    buttons.map((b) => b.textContent?.trim()).filter(Boolean)
+  );
+
+const listInputs = (page) =>
+  page.$$eval("input, textarea", (inputs) =>
+    inputs.map((inp) => ({
+      type: inp.type,
+      placeholder: inp.placeholder,
+      name: inp.name,
+      id: inp.id,
+      className: inp.className,
+    }))
+  );
+
+/**
+ * Resolve true once at least one result card is rendered with a size
+ */
+const cardsVisible = (page) =>
+  page.evaluate((candidates) => {
+    const cards = candidates.flatMap((selector) => [...document.querySelectorAll(selector)]);
+    for (const card of cards) {
+      const rect = card.getBoundingClientRect();
+      if (rect.width > 0 && rect.height > 0) {
+        return true;
+      }
+    }
+    return false;
+  }, getSelectors("results.card"));
+
+/**
+ * Pull username + image out of every result card, using the first
+ * results.card candidate that matches
+ */
+const extractCards = async (ctx) => {
+  const { index, cards } = await ctx.page.evaluate((candidates) => {
+    const index = candidates.findIndex((selector) => document.querySelector(selector));
+    const elements = index === -1 ? [] : [...document.querySelectorAll(candidates[index])];
+
+    const cards = elements.map((el) => {
+      const imageDiv = el.querySelector("div[style*='background-image']");
+      const name = el.querySelector("h4")?.textContent.trim();
+
+      return {
+        username: name,
+        image: imageDiv?.style.backgroundImage
+          .replace(/url\(["']?(.*?)["']?\)/, "$1") || null
+      };
+    });
+    return { index: index === -1 ? null : index, cards };
+  }, getSelectors("results.card"));
+  ctx.cards = cards;
+  if (index !== null) {
+    recordSelectorMatch(ctx, "results.card", index, getSelectors("results.card")[index]);
+  }
+  ctx.log(`📊 Found ${ctx.cards.length} cards in DOM`);
+};
+
+export const stalkersFlow = [
+  {
+    name: "landing",
+    action: actions.goto((ctx) => ctx.sourceUrl || SOURCE_URLS[ctx.locale] || SOURCE_URL, {
+      waitUntil: "domcontentloaded",
+      timeout: 20000,
+    }),
+    snapshot: { name: "landing", meta: (ctx) => ({ url: ctx.page.url() }) },
+  },
+  {
+    name: "reveal",
+    wait: { registry: "landing.revealButton", timeout: 10000 },
+    action: actions.click(),
+    onError: async (ctx) => {
+      const buttons = await listButtons(ctx.page);
+      ctx.log("📋 Available buttons on page:", buttons);
+      return `Could not find "Reveal Stalkers" button. Available buttons: ${buttons.join(", ")}`;
+    },
+  },
+  {
+    name: "username-entry",
+    wait: { registry: "username-entry.usernameInput", timeout: 8000 },
+    action: actions.fill((ctx) => ctx.username),
+    snapshot: { name: "username-entry", meta: (ctx) => ({ username: ctx.username }) },
+    onError: async (ctx) => {
+      const inputs = await listInputs(ctx.page);
+      ctx.log("📋 Available inputs on page:", inputs);
+      return `Could not find username input. Available inputs: ${JSON.stringify(inputs)}`;
+    },
+  },
+  {
+    name: "continue",
+    wait: { registry: "username-entry.continueButton", timeout: 8000 },
+    action: actions.click(),
+    onError: async (ctx, err) => `Could not find Continue button: ${err.message}`,
+  },
+  {
+    name: "analyzing",
+    required: false,
+    delay: 100,
+    wait: { registry: "analyzing.analyzingText", timeout: 8000 },
+    snapshot: "analyzing",
+  },
+  {
+    name: "profile-confirm",
+    delay: 2000,
+    snapshot: {
+      name: "profile-confirm",
+      meta: async (ctx) => {
+        try {
+          const handle = await locateRegistered(ctx, "profile-confirm.displayedHandle");
+          const displayedHandle = await handle.textContent();
+          return { displayedHandle: displayedHandle?.trim() || null };
+        } catch (handleErr) {
+          ctx.log("⚠️  Unable to capture profile confirm metadata:", handleErr.message);
+          return {};
+        }
+      },
+    },
+  },
+  {
+    name: "confirm-profile",
+    wait: {
+      registry: "profile-confirm.confirmButton",
+      timeout: 3000,
+      fallback: "button",
+    },
+    action: actions.click(),
+    settle: 500,
+    onError: async (ctx, err) => {
+      await ctx.captureStep("profile-confirm-error");
+      return `Could not find profile confirmation button: ${err.message}`;
+    },
+  },
+  {
+    name: "processing",
+    required: false,
+    wait: { registry: "processing.processingText", timeout: 10000 },
+    snapshot: "processing",
+  },
+  {
+    // Analysis takes ~35 seconds; poll aggressively so we react as soon as cards render
+    name: "results",
+    wait: { poll: cardsVisible, timeout: 60000, interval: 100 },
+    action: extractCards,
+    snapshot: "results",
+    onError: async () => "Cards did not appear within timeout period",
+  },
+  {
+    name: "full-report",
+    required: false,
+    wait: { registry: "results.fullReportButton", timeout: 5000 },
+    action: actions.click(),
+    settle: 500,
+    snapshot: "full-report",
+  },
+];
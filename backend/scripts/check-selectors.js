@@ -0,0 +1,118 @@
+/**
+ * Check that the scraper's and parsers' selectors still match the site.
+ *
+ *   npm run check-selectors                          # latest stored HTML of each step (in --locale)
+ *   npm run check-selectors -- --snapshot <id>       # one stored run
+ *   npm run check-selectors -- --fixtures [dir]      # local <step>.html files (default: fixtures/snapshots)
+ *   npm run check-selectors -- --locale pt ...       # check the Portuguese funnel's candidates (default: en)
+ *
+ * Checks every entry of the shared selector registry. Prints a table with
+ * the candidate that matched (#0 is the current markup, higher numbers are
+ * fallbacks), match counts and the capture each entry was last verified
+ * against, and exits 1 when a required entry fails or its step has no
+ * HTML, so it can gate a deploy.
+ */
+import path from "path";
+import { fileURLToPath } from "url";
+import { REPLAY_STEPS, loadPagesFromDir, loadPagesFromSnapshot } from "../scraper/replay.js";
+import { runSelectorChecks } from "../scraper/selectorHealth.js";
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, normalizeLocale } from "../scraper/parseSnapshots.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+try {
+  const dotenvModule = await import("dotenv");
+  dotenvModule.default.config({ path: path.join(__dirname, "..", ".env") });
+} catch (e) {
+  // dotenv is optional here
+}
+
+const DEFAULT_FIXTURES = path.join(__dirname, "..", "fixtures", "snapshots");
+const STATUS_LABELS = { pass: "✅ pass", fail: "❌ FAIL", warn: "⚠️  warn", missing: "❌ no html" };
+
+const parseArgs = (argv) => {
+  const args = { fixtures: null, snapshot: null, locale: DEFAULT_LOCALE };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--fixtures") {
+      args.fixtures = argv[i + 1] && !argv[i + 1].startsWith("--") ? path.resolve(argv[++i]) : DEFAULT_FIXTURES;
+    } else if (arg === "--snapshot") {
+      args.snapshot = argv[++i];
+    } else if (arg === "--locale") {
+      args.locale = normalizeLocale(argv[++i]);
+      if (!args.locale) {
+        console.error(`Unsupported locale; use one of: ${SUPPORTED_LOCALES.join(", ")}`);
+        process.exit(1);
+      }
+    }
+  }
+  return args;
+};
+
+const loadPages = async (args) => {
+  if (args.fixtures) {
+    return { pages: await loadPagesFromDir(args.fixtures), source: args.fixtures };
+  }
+
+  const { closeDB } = await import("../utils/mongodb.js");
+  try {
+    if (args.snapshot) {
+      return { pages: await loadPagesFromSnapshot(args.snapshot), source: `snapshot ${args.snapshot}` };
+    }
+
+    const { getRepositories } = await import("../repositories/index.js");
+    const latest = await getRepositories().snapshots.getLatestStepHtml(REPLAY_STEPS, args.locale);
+    if (!latest || Object.keys(latest).length === 0) {
+      console.error(
+        `No stored ${args.locale} step HTML (is MongoDB configured?) - use --fixtures to check local snapshots`
+      );
+      return null;
+    }
+    const pages = Object.fromEntries(Object.entries(latest).map(([step, { html }]) => [step, html]));
+    const sources = Object.entries(latest).map(
+      ([step, { snapshotId, capturedAt }]) => `  ${step}: ${snapshotId} (${new Date(capturedAt).toISOString()})`
+    );
+    return { pages, source: `latest stored snapshots\n${sources.join("\n")}` };
+  } finally {
+    await closeDB();
+  }
+};
+
+const truncate = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+
+const printTable = (rows) => {
+  const columns = [
+    { title: "STEP", width: 16, value: (row) => row.step },
+    { title: "ENTRY", width: 20, value: (row) => row.name },
+    {
+      title: "SELECTOR",
+      width: 58,
+      value: (row) => (row.matched ? `#${row.matchedIndex} ${row.matched}` : row.candidates.join(" | ")),
+    },
+    { title: "MATCHES", width: 8, value: (row) => String(row.count) },
+    { title: "VERIFIED", width: 10, value: (row) => row.verified || "never" },
+    { title: "RESULT", width: 10, value: (row) => STATUS_LABELS[row.status] },
+  ];
+  const line = (cells) => cells.map((cell, i) => truncate(cell, columns[i].width).padEnd(columns[i].width)).join("  ");
+
+  console.log(line(columns.map((column) => column.title)));
+  console.log(line(columns.map((column) => "-".repeat(column.width))));
+  rows.forEach((row) => console.log(line(columns.map((column) => column.value(row)))));
+};
+
+const args = parseArgs(process.argv.slice(2));
+const loaded = await loadPages(args);
+
+if (loaded) {
+  console.log(`Checking ${args.locale} selectors against ${loaded.source}\n`);
+
+  const rows = runSelectorChecks(loaded.pages, args.locale);
+  printTable(rows);
+
+  const failed = rows.filter((row) => row.status === "fail" || row.status === "missing");
+  const warned = rows.filter((row) => row.status === "warn");
+  console.log(`\n${rows.length - failed.length - warned.length} passed, ${failed.length} failed, ${warned.length} warning(s)`);
+  process.exitCode = failed.length > 0 ? 1 : 0;
+} else {
+  process.exitCode = 1;
+}
@@ -0,0 +1,66 @@
+/**
+ * Turn a stored scrape run into golden-test / replay fixtures.
+ *
+ *   npm run export-fixtures -- --snapshot <id> [--out <dir>] [--variant <name>]
+ *
+ * Writes <step>[-<variant>].html for every step the run captured into --out
+ * (default: fixtures/snapshots), sanitized with sanitizeCapture(): scripts
+ * removed, photos replaced by a placeholder, the scraped handle renamed to
+ * @fixture_user and every other @handle to @user_<n>. Read the files before
+ * committing them - names the site shows without an @ are left as they are -
+ * then record the expected output with `npm run test:update`.
+ */
+import { writeFile, mkdir } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadPagesFromSnapshot, sanitizeCapture } from "../scraper/replay.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+try {
+  const dotenvModule = await import("dotenv");
+  dotenvModule.default.config({ path: path.join(__dirname, "..", ".env") });
+} catch (e) {
+  // dotenv is optional here
+}
+
+const parseArgs = (argv) => {
+  const args = { snapshot: null, out: path.join(__dirname, "..", "fixtures", "snapshots"), variant: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--snapshot") args.snapshot = argv[++i];
+    else if (arg === "--out") args.out = path.resolve(argv[++i]);
+    else if (arg === "--variant") args.variant = argv[++i];
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.snapshot) {
+  console.error("Usage: npm run export-fixtures -- --snapshot <id> [--out <dir>] [--variant <name>]");
+  process.exit(1);
+}
+
+const { getRepositories } = await import("../repositories/index.js");
+const { closeDB } = await import("../utils/mongodb.js");
+let exitCode = 0;
+try {
+  const snapshot = await getRepositories().snapshots.get(args.snapshot);
+  const pages = await loadPagesFromSnapshot(args.snapshot);
+  if (!snapshot || Object.keys(pages).length === 0) {
+    console.error(`No stored HTML for snapshot ${args.snapshot}`);
+    exitCode = 1;
+  } else {
+    await mkdir(args.out, { recursive: true });
+    const handles = new Map();
+    for (const [step, html] of Object.entries(pages)) {
+      const file = path.join(args.out, `${step}${args.variant ? `-${args.variant}` : ""}.html`);
+      await writeFile(file, sanitizeCapture(html, { scrapedUsername: snapshot.instagramUsername, handles }), "utf8");
+      console.log(`Wrote ${file}`);
+    }
+    console.log(`\n${handles.size} other handle(s) renamed. Review the files, then run npm run test:update.`);
+  }
+} finally {
+  await closeDB();
+}
+process.exit(exitCode);
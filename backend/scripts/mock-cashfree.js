@@ -0,0 +1,145 @@
+/**
+ * Stand-in for the Cashfree refunds API, for trying refunds locally.
+ *
+ *   npm run mock-cashfree -- [--port <n>] [--refund-status SUCCESS|PENDING|CANCELLED] [--webhook-url <url>]
+ *
+ * Point the backend at it with CASHFREE_API_URL=http://localhost:<port>.
+ * With --webhook-url, a PENDING refund is followed a moment later by a
+ * signed REFUND_STATUS_WEBHOOK reporting SUCCESS, like Cashfree does.
+ */
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { signWebhookPayload } from "../utils/cashfree.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+try {
+  const dotenvModule = await import("dotenv");
+  dotenvModule.default.config({ path: path.join(__dirname, "..", ".env") });
+} catch (e) {
+  // dotenv is optional here
+}
+
+const parseArgs = (argv) => {
+  const args = { port: 4010, refundStatus: "SUCCESS", webhookUrl: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--port") args.port = Number(argv[++i]);
+    else if (arg === "--refund-status") args.refundStatus = argv[++i].toUpperCase();
+    else if (arg === "--webhook-url") args.webhookUrl = argv[++i];
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const refunds = new Map(); // refund_id -> refund entity
+let nextRefundId = 1;
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (err) {
+        resolve(null);
+      }
+    });
+  });
+
+const sendRefundWebhook = async (refund) => {
+  const secretKey = process.env.CASHFREE_SECRET_KEY;
+  if (!secretKey) {
+    console.error("CASHFREE_SECRET_KEY is not set, not sending refund webhook");
+    return;
+  }
+
+  const rawBody = JSON.stringify({
+    data: { refund },
+    event_time: new Date().toISOString(),
+    type: "REFUND_STATUS_WEBHOOK",
+  });
+  const timestamp = String(Date.now());
+  try {
+    const response = await fetch(args.webhookUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-webhook-timestamp": timestamp,
+        "x-webhook-signature": signWebhookPayload(rawBody, timestamp, secretKey),
+      },
+      body: rawBody,
+    });
+    console.log(`→ REFUND_STATUS_WEBHOOK ${refund.refund_id} ${refund.refund_status}: ${response.status}`);
+  } catch (err) {
+    console.error(`Failed to send refund webhook: ${err.message}`);
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/orders\/([^/]+)\/refunds(?:\/([^/]+))?$/);
+  if (!match) {
+    return sendJson(res, 404, { message: "mock only implements /orders/:id/refunds", code: "not_found" });
+  }
+
+  const orderId = decodeURIComponent(match[1]);
+  const refundId = match[2] ? decodeURIComponent(match[2]) : null;
+
+  if (req.method === "GET") {
+    if (refundId) {
+      const refund = refunds.get(refundId);
+      return refund ? sendJson(res, 200, refund) : sendJson(res, 404, { message: "refund not found" });
+    }
+    return sendJson(res, 200, [...refunds.values()].filter((r) => r.order_id === orderId));
+  }
+
+  if (req.method !== "POST" || refundId) {
+    return sendJson(res, 405, { message: "method not allowed" });
+  }
+
+  const body = await readJson(req);
+  if (!body?.refund_id || !(Number(body.refund_amount) > 0)) {
+    return sendJson(res, 400, { message: "refund_id and a positive refund_amount are required", code: "request_invalid" });
+  }
+  if (refunds.has(body.refund_id)) {
+    return sendJson(res, 409, { message: "refund_id already exists", code: "refund_already_exists" });
+  }
+
+  const now = new Date().toISOString();
+  const refund = {
+    cf_refund_id: String(nextRefundId++),
+    refund_id: body.refund_id,
+    order_id: orderId,
+    entity: "refund",
+    refund_amount: Number(body.refund_amount),
+    refund_currency: "INR",
+    refund_note: body.refund_note || null,
+    refund_status: args.refundStatus,
+    refund_type: "MERCHANT_INITIATED",
+    status_description: `Mock refund ${args.refundStatus.toLowerCase()}`,
+    created_at: now,
+    processed_at: args.refundStatus === "PENDING" ? null : now,
+  };
+  refunds.set(refund.refund_id, refund);
+  console.log(`← refund ${refund.refund_id} for ${orderId}: ${refund.refund_amount} (${refund.refund_status})`);
+  sendJson(res, 200, refund);
+
+  if (args.webhookUrl && refund.refund_status === "PENDING") {
+    setTimeout(() => {
+      Object.assign(refund, { refund_status: "SUCCESS", processed_at: new Date().toISOString() });
+      sendRefundWebhook(refund);
+    }, 2000);
+  }
+});
+
+server.listen(args.port, () => {
+  console.log(`Mock Cashfree refunds API on http://localhost:${args.port} - Ctrl+C to stop`);
+});
@@ -0,0 +1,78 @@
+/**
+ * Run scrape() against captured snapshot HTML instead of the live site.
+ *
+ *   npm run replay -- [username] [--fixtures <dir>] [--snapshot <id>] [--locale <code>] [--store <driver>] [--serve] [--port <n>]
+ *
+ * --fixtures  directory of <step>.html files (default: fixtures/snapshots)
+ * --snapshot  replay a run from the configured storage (STORAGE_DRIVER) instead
+ * --locale    funnel locale the pages are in (default: en)
+ * --store     where the replayed run is saved (default: memory, so replays
+ *             never land next to real runs)
+ * --serve     only start the stand-in server, don't scrape
+ */
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  startReplayServer,
+  loadPagesFromDir,
+  loadPagesFromSnapshot,
+} from "../scraper/replay.js";
+import { STORAGE_DRIVERS, getStorageDriver } from "../repositories/index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+try {
+  const dotenvModule = await import("dotenv");
+  dotenvModule.default.config({ path: path.join(__dirname, "..", ".env") });
+} catch (e) {
+  // dotenv is optional here
+}
+
+const parseArgs = (argv) => {
+  const args = { username: "replay_user", fixtures: null, snapshot: null, locale: undefined, store: "memory", serve: false, port: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--fixtures") args.fixtures = argv[++i];
+    else if (arg === "--snapshot") args.snapshot = argv[++i];
+    else if (arg === "--locale") args.locale = argv[++i];
+    else if (arg === "--store") args.store = argv[++i];
+    else if (arg === "--port") args.port = Number(argv[++i]);
+    else if (arg === "--serve") args.serve = true;
+    else args.username = arg;
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+
+// Read the stored run from the configured storage, then save the replay to --store
+const sourceDriver = getStorageDriver();
+process.env.STORAGE_DRIVER = args.store;
+getStorageDriver(); // throws on an unknown --store
+
+const pages = args.snapshot
+  ? await loadPagesFromSnapshot(args.snapshot, STORAGE_DRIVERS[sourceDriver]().snapshots)
+  : await loadPagesFromDir(args.fixtures || path.join(__dirname, "..", "fixtures", "snapshots"));
+
+const replay = await startReplayServer(pages, { port: args.port });
+
+if (args.serve) {
+  console.log(`Open ${replay.entryUrl} - Ctrl+C to stop`);
+} else {
+  const { scrape } = await import("../scraper/scrape.js");
+  let exitCode = 0;
+  try {
+    const result = await scrape(args.username, null, { sourceUrl: replay.entryUrl, locale: args.locale });
+    console.log(JSON.stringify({ cards: result.cards, steps: result.steps.map((s) => s.name) }, null, 2));
+  } catch (err) {
+    console.error(`Replay scrape failed: ${err.message}`);
+    exitCode = 1;
+  } finally {
+    const { browserPool } = await import("../scraper/browser.js");
+    await browserPool.drain();
+    await replay.close();
+    const { closeDB } = await import("../utils/mongodb.js");
+    await closeDB();
+  }
+  process.exit(exitCode);
+}
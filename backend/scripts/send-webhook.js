@@ -0,0 +1,97 @@
+/**
+ * Send a signed sample Cashfree webhook to a local server.
+ *
+ *   npm run webhook -- <orderId> [success|failed|user-dropped] [--amount <n>] [--url <url>] [--repeat <n>]
+ *   npm run webhook -- <orderId> refund-success|refund-cancelled --refund-id <id> [--amount <n>]
+ *
+ * Payloads come from fixtures/webhooks/payment-<kind>.json (or <kind>.json
+ * for refund-*) and are signed with CASHFREE_SECRET_KEY the same way
+ * Cashfree signs them.
+ * --repeat sends the identical delivery again to exercise idempotency.
+ */
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { signWebhookPayload } from "../utils/cashfree.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+try {
+  const dotenvModule = await import("dotenv");
+  dotenvModule.default.config({ path: path.join(__dirname, "..", ".env") });
+} catch (e) {
+  // dotenv is optional here
+}
+
+const parseArgs = (argv) => {
+  const args = { orderId: null, kind: "success", amount: null, url: null, repeat: 1, refundId: null };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--amount") args.amount = Number(argv[++i]);
+    else if (arg === "--url") args.url = argv[++i];
+    else if (arg === "--repeat") args.repeat = Number(argv[++i]) || 1;
+    else if (arg === "--refund-id") args.refundId = argv[++i];
+    else positional.push(arg);
+  }
+  [args.orderId, args.kind = "success"] = positional;
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const secretKey = process.env.CASHFREE_SECRET_KEY;
+
+if (!args.orderId) {
+  console.error("Usage: npm run webhook -- <orderId> [success|failed|user-dropped|refund-success|refund-cancelled] [--amount <n>] [--refund-id <id>] [--url <url>] [--repeat <n>]");
+  process.exit(1);
+}
+if (!secretKey) {
+  console.error("CASHFREE_SECRET_KEY is not set");
+  process.exit(1);
+}
+
+const fixtureName = args.kind.startsWith("refund-") ? args.kind : `payment-${args.kind}`;
+const fixturePath = path.join(__dirname, "..", "fixtures", "webhooks", `${fixtureName}.json`);
+const payload = JSON.parse(await fs.readFile(fixturePath, "utf8"));
+
+if (payload.data.refund) {
+  const refund = payload.data.refund;
+  refund.order_id = args.orderId;
+  refund.refund_id = args.refundId || `REFUND_${args.orderId}_1`;
+  refund.cf_refund_id = `CF_${refund.refund_id}`;
+  if (args.amount !== null) refund.refund_amount = args.amount;
+} else {
+  payload.data.order.order_id = args.orderId;
+  if (args.amount !== null) {
+    payload.data.order.order_amount = args.amount;
+    payload.data.payment.payment_amount = args.amount;
+  }
+  payload.data.payment.cf_payment_id = Date.now();
+}
+payload.event_time = new Date().toISOString();
+
+const url = args.url || `http://localhost:${process.env.PORT || 3000}/api/payment/webhook`;
+const rawBody = JSON.stringify(payload);
+const timestamp = String(Date.now());
+const signature = signWebhookPayload(rawBody, timestamp, secretKey);
+
+let exitCode = 0;
+for (let i = 0; i < args.repeat; i++) {
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-webhook-timestamp": timestamp,
+        "x-webhook-signature": signature,
+      },
+      body: rawBody,
+    });
+    console.log(`${payload.type} → ${response.status} ${await response.text()}`);
+    if (!response.ok) exitCode = 1;
+  } catch (err) {
+    console.error(`Failed to send webhook to ${url}: ${err.message}`);
+    exitCode = 1;
+  }
+}
+process.exit(exitCode);
@@ -0,0 +1,160 @@
+/**
+ * Golden-file tests for the snapshot parsers.
+ *
+ *   npm test -- [name...] [--fixtures <dir>] [--update]
+ *
+ * Every <step>[-variant].html in the fixtures directory (default:
+ * fixtures/snapshots) is run through the parser for <step> - results,
+ * full-report, profile-confirm or processing; other files are skipped -
+ * and compared with expected/<file>.json next to it.
+ * --update (npm run test:update) re-records the expected JSON instead.
+ * Output that breaks its step's schema fails either way, so it is never recorded.
+ */
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isDeepStrictEqual } from "util";
+import { parseStep, validateParsedStep } from "../scraper/parseSnapshots.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PARSED_STEPS = ["profile-confirm", "full-report", "processing", "results"];
+const MAX_DIFFS = 12;
+
+const parseArgs = (argv) => {
+  const args = { fixtures: path.join(__dirname, "..", "fixtures", "snapshots"), update: false, names: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--fixtures") args.fixtures = path.resolve(argv[++i]);
+    else if (arg === "--update") args.update = true;
+    else args.names.push(arg);
+  }
+  return args;
+};
+
+const stepForFile = (file) => {
+  const name = file.replace(/\.html$/, "").replace(/^\d+-/, "");
+  return PARSED_STEPS.find((step) => name === step || name.startsWith(`${step}-`)) || null;
+};
+
+// The parsers log as they go; keep the test output to results only
+const quietly = (fn) => {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = originalLog;
+  }
+};
+
+const preview = (value) => {
+  const text = JSON.stringify(value);
+  if (text === undefined) return "(absent)";
+  return text.length > 100 ? `${text.slice(0, 97)}...` : text;
+};
+
+/**
+ * Paths where actual differs from expected, as "- expected" / "+ actual" lines
+ */
+const diff = (expected, actual, pathName = "$") => {
+  if (isDeepStrictEqual(expected, actual)) return [];
+
+  const bothObjects =
+    expected && actual && typeof expected === "object" && typeof actual === "object" &&
+    Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    return [`  ${pathName}`, `    - ${preview(expected)}`, `    + ${preview(actual)}`];
+  }
+
+  const lines = [];
+  if (Array.isArray(expected) && expected.length !== actual.length) {
+    lines.push(`  ${pathName}.length`, `    - ${expected.length}`, `    + ${actual.length}`);
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys) {
+    const childPath = Array.isArray(expected) ? `${pathName}[${key}]` : `${pathName}.${key}`;
+    lines.push(...diff(expected[key], actual[key], childPath));
+  }
+  return lines;
+};
+
+const readExpected = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return undefined;
+    throw err;
+  }
+};
+
+async function runParserTests({ fixtures, update, names }) {
+  const expectedDir = path.join(fixtures, "expected");
+  const files = (await fs.readdir(fixtures))
+    .filter((file) => file.endsWith(".html") && stepForFile(file))
+    .filter((file) => names.length === 0 || names.some((name) => file.includes(name)))
+    .sort();
+
+  if (files.length === 0) {
+    console.error(`No parser fixtures found in ${fixtures}`);
+    return false;
+  }
+
+  let failures = 0;
+  for (const file of files) {
+    const step = stepForFile(file);
+    const html = await fs.readFile(path.join(fixtures, file), "utf8");
+    // Round-trip through JSON so the comparison sees what the API would serve
+    const actual = JSON.parse(JSON.stringify(quietly(() => parseStep(step, html))));
+    const expectedFile = path.join(expectedDir, file.replace(/\.html$/, ".json"));
+
+    const validation = validateParsedStep(step, actual);
+    if (validation && !validation.valid) {
+      failures += 1;
+      console.log(`❌ ${file} (${step}) does not match schema v${validation.schemaVersion}:`);
+      console.log(validation.errors.slice(0, MAX_DIFFS).map((error) => `  ${error}`).join("\n"));
+      continue;
+    }
+
+    if (update) {
+      await fs.mkdir(expectedDir, { recursive: true });
+      await fs.writeFile(expectedFile, `${JSON.stringify(actual, null, 2)}\n`);
+      console.log(`📝 ${file} (${step}) → ${path.relative(fixtures, expectedFile)}`);
+      continue;
+    }
+
+    const expected = await readExpected(expectedFile);
+    if (expected === undefined) {
+      failures += 1;
+      console.log(`❌ ${file} (${step}): no ${path.relative(fixtures, expectedFile)} - run npm run test:update`);
+      continue;
+    }
+
+    const lines = diff(expected, actual);
+    if (lines.length === 0) {
+      console.log(`✅ ${file} (${step})`);
+      continue;
+    }
+
+    failures += 1;
+    console.log(`❌ ${file} (${step}) differs from ${path.relative(fixtures, expectedFile)}:`);
+    // Each difference is three lines: path, expected, actual
+    console.log(lines.slice(0, MAX_DIFFS * 3).join("\n"));
+    if (lines.length > MAX_DIFFS * 3) {
+      console.log(`  ... ${lines.length / 3 - MAX_DIFFS} more difference(s)`);
+    }
+  }
+
+  if (update) {
+    console.log(`\nRecorded ${files.length - failures} expectation(s), ${failures} invalid`);
+    return failures === 0;
+  }
+  console.log(`\n${files.length - failures} passed, ${failures} failed`);
+  if (failures > 0) {
+    console.log("If the change is intended, re-record with: npm run test:update");
+  }
+  return failures === 0;
+}
+
+const ok = await runParserTests(parseArgs(process.argv.slice(2)));
+process.exit(ok ? 0 : 1);
@@ -16,33 +16,78 @@ if (process.env.NODE_ENV !== 'production') {
   }
 }
 
+import crypto from "crypto";
 import express from "express";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
-import { scrape } from "./scraper/scrape.js";
-import { scrapeQueue } from "./utils/queue.js";
-import { 
-  connectDB, 
-  getSnapshotStep, 
-  getRecentSnapshot,
-  closeDB 
-} from "./utils/mongodb.js";
+import { scrape, FAILURE_REASONS } from "./scraper/scrape.js";
+import { browserPool } from "./scraper/browser.js";
+import {
+  STEP_SCHEMA_VERSIONS,
+  validateParsedStep,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+} from "./scraper/parseSnapshots.js";
+import { LIVE_LOCALES } from "./scraper/stalkersFlow.js";
+import { scrapeQueue, scrapeKey } from "./utils/queue.js";
+import { jobManager, serializeJob } from "./utils/jobs.js";
+import {
+  PRODUCTS,
+  DEFAULT_PRODUCT_ID,
+  priceOrder,
+  serializeProduct,
+} from "./config/products.js";
+import {
+  ORDER_STATUS,
+  REFUND_STATUS,
+  PAID_STATUSES,
+  applyPaymentEvent,
+  applyRefundEvent,
+  recordRefundRequest,
+  getRefundableAmount,
+  getOrder,
+  saveCustomerDetails,
+  createOrder,
+  getOrderByAccessToken,
+  getOrdersByEmail,
+  createOrderAccessToken,
+  issueOrderAccessToken,
+  serializeOrder,
+} from "./utils/orders.js";
+import { requestLookupCode, verifyLookupCode } from "./utils/orderLookup.js";
+import { mailer } from "./utils/mailer.js";
+import { findEntitlement, isPaidStep } from "./utils/entitlements.js";
+import { getRetentionPolicy, getCacheMinutes } from "./config/retention.js";
+import { getImage } from "./utils/images.js";
+import {
+  verifyWebhookSignature,
+  parsePaymentWebhook,
+  parseRefundWebhook,
+  fetchOrderPaymentStatus,
+  createRefund,
+  fetchRefund,
+} from "./utils/cashfree.js";
+import { connectDB, closeDB } from "./utils/mongodb.js";
+import { getRepositories, getStorageDriver } from "./repositories/index.js";
 
 const app = express();
 app.use(cors());
-app.use(express.json()); // For parsing JSON request bodies
+// For parsing JSON request bodies; keep the raw body for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString("utf8");
+  },
+}));
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 // Keep static serving for backward compatibility (if files exist)
 const SNAPSHOT_ROOT = path.join(__dirname, "snapshots");
 app.use("/snapshots", express.static(SNAPSHOT_ROOT));
 
-// MongoDB configuration
+// Storage: snapshots, jobs and orders go through ./repositories (STORAGE_DRIVER)
 // Note: Make sure your IP is whitelisted in MongoDB Atlas Network Access
 // Password is URL-encoded: @ becomes %40
-const COLLECTION_NAME = "user_orders";
-// connectDB is imported from ./utils/mongodb.js and used for both snapshots and payment data
 
 // Cashfree configuration
 const CASHFREE_API_KEY = process.env.CASHFREE_API_KEY;
@@ -58,6 +103,12 @@ if (!CASHFREE_API_KEY) {
 if (!CASHFREE_SECRET_KEY) {
   throw new Error("❌ CASHFREE_SECRET_KEY environment variable is required. Please set it in .env file or Railway environment variables.");
 } 
+
+mailer.checkConfig();
+
+// Where /payment/return sends the customer afterwards
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
 // Try different API versions - Cashfree supports multiple versions
 const CASHFREE_API_VERSIONS = ["2023-08-01", "2022-09-01", "2021-05-21"];
 const CASHFREE_API_VERSION = CASHFREE_API_VERSIONS[0]; // Start with latest
@@ -67,7 +118,70 @@ const log = (message, data = null) => {
   console.log(`[${timestamp}] ${message}`, data || '');
 };
 
-// Save user data to MongoDB
+// Admin routes need "Authorization: Bearer <ADMIN_API_TOKEN>"; without the env var they're disabled
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  const header = req.get("authorization") || "";
+  const provided = Buffer.from(header.startsWith("Bearer ") ? header.slice(7).trim() : "");
+  const expected = Buffer.from(adminToken || "");
+
+  if (!adminToken || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    log(`🚫 Rejected admin request to ${req.path}`);
+    return res.status(401).json({ error: "Admin authorization required" });
+  }
+  next();
+};
+
+// Reply 503 + Retry-After when the scrape queue is full
+const sendBusy = (res, retryAfter) => {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(503).json({
+    error: "busy",
+    message: `Too many scans in progress, please retry after ${retryAfter} seconds`,
+    retryAfter,
+  });
+};
+
+// Funnel locale from a request value: DEFAULT_LOCALE when absent, null when
+// unsupported or not scraped live yet (LIVE_LOCALES)
+const readLocale = (value) => {
+  if (value === undefined || value === "") {
+    return DEFAULT_LOCALE;
+  }
+  const locale = normalizeLocale(value);
+  return LIVE_LOCALES.includes(locale) ? locale : null;
+};
+
+const sendUnsupportedLocale = (res, value) =>
+  res.status(400).json({
+    error: "unsupported locale",
+    message: `Unsupported locale "${value}"; use one of: ${LIVE_LOCALES.join(", ")}`,
+    supportedLocales: LIVE_LOCALES,
+  });
+
+// Start a Server-Sent Events response; returns send(event, data)
+const openEventStream = (res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Cache-Control",
+  });
+
+  return (event, data) => {
+    // The client may be gone (e.g. a scrape finishing after a disconnect)
+    if (res.writableEnded) return;
+    try {
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    } catch (err) {
+      log(`⚠️ Error sending SSE event: ${err.message}`);
+    }
+  };
+};
+
+// Save user data
 app.post("/api/payment/save-user", async (req, res) => {
   try {
     const { email, fullName, phoneNumber } = req.body;
@@ -76,32 +190,21 @@ app.post("/api/payment/save-user", async (req, res) => {
       return res.status(400).json({ error: "Email, full name, and phone number are required" });
     }
 
-    const database = await connectDB();
-    if (!database) {
-      log('⚠️ MongoDB not available, skipping save');
+    const userId = await saveCustomerDetails({ email, fullName, phoneNumber });
+    if (!userId) {
+      log('⚠️ Order storage not available, skipping save');
       // Still return success so payment flow can continue
       return res.json({ 
         success: true, 
-        message: "User data received (MongoDB unavailable)" 
+        message: "User data received (storage unavailable)" 
       });
     }
 
-    const collection = database.collection(COLLECTION_NAME);
-    
-    const userData = {
-      email,
-      fullName,
-      phoneNumber,
-      createdAt: new Date(),
-      status: "pending"
-    };
-
-    const result = await collection.insertOne(userData);
     log(`✅ User data saved: ${email}`);
     
     res.json({ 
       success: true, 
-      userId: result.insertedId,
+      userId,
       message: "User data saved successfully" 
     });
   } catch (err) {
@@ -114,17 +217,81 @@ app.post("/api/payment/save-user", async (req, res) => {
   }
 });
 
+// Product catalogue (prices shown on the payment page)
+app.get("/api/products", (req, res) => {
+  res.json({ products: Object.values(PRODUCTS).map(serializeProduct) });
+});
+
 // Create Cashfree payment session
 app.post("/api/payment/create-session", async (req, res) => {
   try {
-    const { email, fullName, phoneNumber, amount } = req.body;
+    const {
+      email,
+      fullName,
+      phoneNumber,
+      productId = DEFAULT_PRODUCT_ID,
+      quantity = 1,
+      snapshotId,
+    } = req.body;
     
     if (!email || !fullName || !phoneNumber) {
       return res.status(400).json({ error: "Email, full name, and phone number are required" });
     }
 
+    // The order unlocks this snapshot once paid
+    if (!snapshotId) {
+      return res.status(400).json({ error: "snapshotId of the report being bought is required" });
+    }
+    const snapshot = await getRepositories().snapshots.get(snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: "Report not found or expired" });
+    }
+    const reportUsername = snapshot.instagramUsername;
+
+    // Price is computed here from the catalogue; any client-sent amount is ignored
+    let pricing;
+    try {
+      pricing = priceOrder(productId, quantity);
+    } catch (pricingErr) {
+      if (pricingErr.code === "INVALID_ORDER") {
+        return res.status(400).json({ error: pricingErr.message });
+      }
+      throw pricingErr;
+    }
+    if (req.body.amount !== undefined && Number(req.body.amount) !== pricing.amount) {
+      log(`⚠️ Ignoring client amount ${req.body.amount}, server price is ${pricing.amount}`);
+    }
+
     const orderId = `ORDER_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const orderAmount = amount || 199; // Default to 199₹
+    const accessToken = createOrderAccessToken();
+
+
+    // Store the order before Cashfree can take a payment for it: a paid
+    // webhook for an order we don't have would never unlock anything
+    let saved = false;
+    try {
+      saved = await createOrder({
+        orderId,
+        email,
+        fullName,
+        phoneNumber,
+        snapshotId,
+        username: reportUsername,
+        accessTokenHash: accessToken.tokenHash,
+        productId: pricing.productId,
+        quantity: pricing.quantity,
+        unitPrice: pricing.unitPrice,
+        discount: pricing.discount,
+        amount: pricing.amount,
+        currency: pricing.currency,
+      });
+    } catch (dbErr) {
+      log('❌ Failed to save order:', dbErr.message);
+    }
+    if (!saved) {
+      return res.status(503).json({ error: "Orders can't be stored right now, please try again shortly" });
+    }
+    log(`✅ Order saved: ${orderId}`);
     
     // Create payment session with Cashfree
     // Format phone number (ensure it's 10 digits for India)
@@ -141,8 +308,8 @@ app.post("/api/payment/create-session", async (req, res) => {
 
     const paymentData = {
       order_id: orderId,
-      order_amount: orderAmount,
-      order_currency: "INR",
+      order_amount: pricing.amount,
+      order_currency: pricing.currency,
       customer_details: {
         customer_id: customerId,
         customer_name: fullName,
@@ -227,27 +394,6 @@ app.post("/api/payment/create-session", async (req, res) => {
       });
     }
     
-    // Save order to MongoDB (optional, don't fail if DB is unavailable)
-    try {
-      const database = await connectDB();
-      if (database) {
-        const collection = database.collection(COLLECTION_NAME);
-        await collection.insertOne({
-          orderId,
-          email,
-          fullName,
-          phoneNumber,
-          amount: orderAmount,
-          paymentSessionId: sessionData.payment_session_id,
-          status: "created",
-          createdAt: new Date(),
-        });
-        log(`✅ Order saved to MongoDB: ${orderId}`);
-      }
-    } catch (dbErr) {
-      log('⚠️ Failed to save order to MongoDB (continuing anyway):', dbErr.message);
-    }
-
     // Cashfree returns payment_session_id in the response
     const paymentSessionId = sessionData.payment_session_id || sessionData.paymentSessionId || sessionData.session_id;
     
@@ -264,6 +410,8 @@ app.post("/api/payment/create-session", async (req, res) => {
     res.json({
       success: true,
       orderId,
+      accessToken: accessToken.token,
+      pricing,
       paymentSessionId: paymentSessionId,
       paymentData: sessionData,
     });
@@ -273,39 +421,588 @@ app.post("/api/payment/create-session", async (req, res) => {
   }
 });
 
-// New endpoint: Serve HTML snapshots from MongoDB
-app.get("/api/snapshots/:snapshotId/:stepName", async (req, res) => {
-  const { snapshotId, stepName } = req.params;
-  
+// Cashfree webhooks: payments move orders through created → paid / failed / user_dropped,
+// refunds move paid orders to partially_refunded / refunded
+app.post("/api/payment/webhook", async (req, res) => {
+  const timestamp = req.get("x-webhook-timestamp");
+  const signature = req.get("x-webhook-signature");
+
+  if (!verifyWebhookSignature(req.rawBody, timestamp, signature, CASHFREE_SECRET_KEY)) {
+    log(`🚫 Rejected webhook with invalid signature`);
+    return res.status(401).json({ error: "Invalid webhook signature" });
+  }
+
+  const paymentEvent = parsePaymentWebhook(req.body, req.rawBody, req.get("x-idempotency-key"));
+  const event = paymentEvent || parseRefundWebhook(req.body);
+  if (!event) {
+    // Acknowledge webhook types we don't handle so Cashfree stops retrying them
+    log(`ℹ️ Ignoring webhook type: ${req.body?.type}`);
+    return res.json({ received: true, result: "ignored" });
+  }
+
+  try {
+    const { result, order } = paymentEvent
+      ? await applyPaymentEvent(event.orderId, event)
+      : await applyRefundEvent(event.orderId, event);
+
+    if (result === "unavailable") {
+      // Non-2xx makes Cashfree retry once the database is back
+      log(`⚠️ Order storage not available, webhook for ${event.orderId} not applied`);
+      return res.status(503).json({ error: "Order store unavailable" });
+    }
+    if (result === "not_found") {
+      log(`⚠️ Webhook for unknown order ${event.orderId}`);
+      return res.json({ received: true, result });
+    }
+    if (result === "duplicate") {
+      log(`♻️  Duplicate webhook ${event.eventId.substring(0, 12)} for ${event.orderId}`);
+    }
+
+    res.json({ received: true, result, status: order.status });
+  } catch (err) {
+    log(`❌ Error handling webhook for ${event.orderId}: ${err.message}`);
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+// Refund (part of) a paid order through Cashfree
+app.post("/api/admin/orders/:orderId/refunds", requireAdmin, async (req, res) => {
+  const { orderId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const order = await getOrder(orderId);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    if (!PAID_STATUSES.includes(order.status)) {
+      return res.status(409).json({ error: `Order is ${order.status}, only paid orders can be refunded` });
+    }
+
+    if (!reason && !req.body.refundId) {
+      return res.status(400).json({ error: "A refund reason is required" });
+    }
+
+    let refund;
+    if (req.body.refundId) {
+      // Retry of a refund whose outcome we never learned: same ID, so Cashfree can dedupe it
+      refund = (order.refunds || []).find((existing) => existing.refundId === req.body.refundId);
+      if (!refund) {
+        return res.status(404).json({ error: "Refund not found on this order" });
+      }
+      if (refund.status !== REFUND_STATUS.PENDING) {
+        return res.status(409).json({ error: `Refund is already ${refund.status}` });
+      }
+    } else {
+      const refundable = getRefundableAmount(order);
+      const amount = req.body.amount === undefined ? refundable : Number(req.body.amount);
+      if (!Number.isFinite(amount) || amount <= 0 || amount > refundable) {
+        return res.status(400).json({ error: `Refund amount must be between 0 and ${refundable}` });
+      }
+
+      refund = {
+        refundId: `REFUND_${orderId}_${(order.refunds?.length || 0) + 1}`,
+        amount,
+        reason,
+        requestedBy: "admin",
+      };
+      const recorded = await recordRefundRequest(orderId, refund);
+      if (recorded.result === "unavailable") {
+        return res.status(503).json({ error: "Order store unavailable" });
+      }
+      if (recorded.result !== "applied") {
+        return res.status(409).json({ error: "Order changed while recording the refund, try again" });
+      }
+    }
+    const { refundId, amount } = refund;
+
+    let event;
+    try {
+      // A retried refund may have gone through the first time; only resend it if Cashfree has none
+      event = req.body.refundId ? await fetchRefund({ orderId, refundId }) : null;
+      event = event || (await createRefund({ orderId, refundId, amount, note: refund.reason }));
+    } catch (cashfreeErr) {
+      // Only a 4xx is a definite no. After a timeout or a 5xx Cashfree may still
+      // have accepted the refund, so it stays pending (still not refundable
+      // again) until a webhook settles it or a retry with the same refundId does
+      if (!(cashfreeErr.status >= 400 && cashfreeErr.status < 500)) {
+        log(`⚠️ Cashfree refund outcome unknown for ${orderId} (${refundId}), left pending: ${cashfreeErr.message}`);
+        return res.status(502).json({
+          error: "Payment gateway did not confirm the refund; it stays pending. Retry with this refundId.",
+          refundId,
+          details: cashfreeErr.message,
+        });
+      }
+
+      log(`❌ Cashfree refund failed for ${orderId}: ${cashfreeErr.message}`);
+      await applyRefundEvent(orderId, {
+        eventId: `${refundId}:refund:failed`,
+        source: "admin",
+        type: "REFUND_REJECTED",
+        orderId,
+        refundId,
+        status: "failed",
+        amount,
+        message: cashfreeErr.message,
+        eventTime: new Date().toISOString(),
+      });
+      return res.status(502).json({ error: "Payment gateway rejected the refund", details: cashfreeErr.message });
+    }
+
+    const { order: updated } = await applyRefundEvent(orderId, event);
+    log(`💸 Refund ${refundId} of ${amount} requested for ${orderId}: ${event.status}`);
+    res.status(201).json({
+      refund: updated?.refunds?.find((refund) => refund.refundId === refundId) || null,
+      order: updated ? serializeOrder(updated) : null,
+    });
+  } catch (err) {
+    log(`❌ Error refunding order ${orderId}: ${err.message}`);
+    res.status(500).json({ error: "Failed to refund order" });
+  }
+});
+
+// Failed scrapes, newest first, with how many failed for each reason
+app.get("/api/admin/scrapes/failed", requireAdmin, async (req, res) => {
+  const reason = req.query.reason || null;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  if (reason && !Object.values(FAILURE_REASONS).includes(reason)) {
+    return res.status(400).json({
+      error: `Unknown reason; use one of: ${Object.values(FAILURE_REASONS).join(", ")}`,
+    });
+  }
+
+  try {
+    const { snapshots } = getRepositories();
+    const [runs, reasons] = await Promise.all([
+      snapshots.listFailed({ reason, limit }),
+      snapshots.countFailedByReason(),
+    ]);
+    if (!runs || !reasons) {
+      return res.status(503).json({ error: "Snapshot store unavailable" });
+    }
+
+    res.json({
+      reasons,
+      runs: runs.map((snapshot) => ({
+        snapshotId: snapshot._id.toString(),
+        username: snapshot.instagramUsername,
+        runId: snapshot.runId,
+        locale: snapshot.locale || DEFAULT_LOCALE,
+        createdAt: snapshot.createdAt,
+        failedAt: snapshot.failedAt,
+        ...snapshot.failure,
+        steps: (snapshot.steps || []).map((step) => ({
+          name: step.name,
+          htmlPath: `/api/snapshots/${snapshot._id}/${step.name}`,
+        })),
+      })),
+    });
+  } catch (err) {
+    log(`❌ Error listing failed scrapes: ${err.message}`);
+    res.status(500).json({ error: "Failed to list failed scrapes" });
+  }
+});
+
+// What the payment result page shows for each order status
+const PAYMENT_RESULT_STATUS = {
+  [ORDER_STATUS.PAID]: "paid",
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: "paid",
+  [ORDER_STATUS.REFUNDED]: "refunded",
+  [ORDER_STATUS.CREATED]: "pending",
+  [ORDER_STATUS.FAILED]: "failed",
+  [ORDER_STATUS.USER_DROPPED]: "failed",
+};
+
+// Cashfree sends the customer here after checkout (order_meta.return_url)
+app.get("/payment/return", async (req, res) => {
+  const orderId = req.query.order_id;
+  if (!orderId) {
+    return res.status(400).json({ error: "order_id is required" });
+  }
+
+  try {
+    let order = await getOrder(orderId);
+    let status = order ? PAYMENT_RESULT_STATUS[order.status] || "pending" : "pending";
+
+    // The webhook may not have arrived yet - ask Cashfree unless we already know it's paid
+    if (!PAID_STATUSES.includes(order?.status)) {
+      try {
+        const lookup = await fetchOrderPaymentStatus(orderId);
+        status = PAYMENT_RESULT_STATUS[lookup.status] || lookup.status;
+
+        if (lookup.event) {
+          const applied = await applyPaymentEvent(orderId, lookup.event);
+          order = applied.order || order;
+        }
+        // The local record wins when we have one (e.g. amount mismatch keeps it unpaid)
+        if (order) {
+          status = PAYMENT_RESULT_STATUS[order.status] || status;
+        }
+      } catch (err) {
+        log(`⚠️ Cashfree status lookup failed for ${orderId}, using local record: ${err.message}`);
+      }
+    }
+
+    log(`↩️  Payment return for ${orderId}: ${status}`);
+
+    const resultUrl = new URL(FRONTEND_URL);
+    resultUrl.searchParams.set("view", "payment-result");
+    resultUrl.searchParams.set("order_id", orderId);
+    resultUrl.searchParams.set("status", status);
+    res.redirect(302, resultUrl.toString());
+  } catch (err) {
+    log(`❌ Error handling payment return for ${orderId}: ${err.message}`);
+    res.status(500).json({ error: "Failed to process payment return" });
+  }
+});
+
+// Order access token from "Authorization: Bearer <token>" or ?token=
+const getAccessToken = (req) => {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : req.query.token || null;
+};
+
+// Order receipt for the holder of the order's access token
+app.get("/api/orders/:orderId", async (req, res) => {
+  try {
+    const order = await getOrderByAccessToken(getAccessToken(req));
+    // Same answer for a wrong token and a wrong order, so order IDs can't be probed
+    if (!order || order.orderId !== req.params.orderId) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.json({ order: serializeOrder(order) });
+  } catch (err) {
+    log(`❌ Error getting order: ${err.message}`);
+    res.status(500).json({ error: "Failed to retrieve order" });
+  }
+});
+
+// Start an email lookup: mails a one-time code if the address has orders
+app.post("/api/orders/lookup", async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+
+  try {
+    const result = await requestLookupCode(email);
+    if (result === "unavailable") {
+      return res.status(503).json({ error: "Order lookup is temporarily unavailable" });
+    }
+
+    // Don't reveal whether the address has orders
+    res.status(202).json({ message: "If this email has orders, a code has been sent to it." });
+  } catch (err) {
+    log(`❌ Error sending lookup code: ${err.message}`);
+    res.status(500).json({ error: "Failed to send lookup code" });
+  }
+});
+
+// Finish an email lookup: a valid code returns the orders with fresh access tokens
+app.post("/api/orders/lookup/verify", async (req, res) => {
+  const { email, code } = req.body;
+  if (!email || !code) {
+    return res.status(400).json({ error: "Email and code are required" });
+  }
+
+  try {
+    if (!(await verifyLookupCode(email, code))) {
+      return res.status(401).json({ error: "Invalid or expired code" });
+    }
+
+    const orders = await getOrdersByEmail(email);
+    const receipts = await Promise.all(
+      orders.map(async (order) => ({
+        ...serializeOrder(order),
+        accessToken: await issueOrderAccessToken(order.orderId),
+      }))
+    );
+    log(`🔎 Email lookup returned ${receipts.length} order(s)`);
+    res.json({ orders: receipts });
+  } catch (err) {
+    log(`❌ Error verifying lookup code: ${err.message}`);
+    res.status(500).json({ error: "Failed to look up orders" });
+  }
+});
+
+// Report routes are for the holder of a paid order entitled to :snapshotId;
+// sets req.order and req.entitlement
+const requireEntitlement = async (req, res, next) => {
+  try {
+    const order = await getOrderByAccessToken(getAccessToken(req));
+    if (!order) {
+      return res.status(401).json({ error: "Valid order access token required" });
+    }
+
+    const entitlement = await findEntitlement(req.params.snapshotId, order.orderId);
+    if (!entitlement) {
+      return res.status(403).json({ error: "This order does not unlock this report", status: order.status });
+    }
+
+    req.order = order;
+    req.entitlement = entitlement;
+    next();
+  } catch (err) {
+    log(`❌ Error checking entitlement: ${err.message}`);
+    res.status(500).json({ error: "Failed to retrieve report" });
+  }
+};
+
+// Unlocked report: the preview plus the paid steps, parsed and as HTML
+app.get("/api/reports/:snapshotId", requireEntitlement, async (req, res) => {
+  const { snapshotId } = req.params;
+
+  try {
+    const { snapshots } = getRepositories();
+    const snapshot = await snapshots.get(snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: "Report not found or expired" });
+    }
+    const parsed = await snapshots.getParsed(snapshotId);
+
+    res.json({
+      snapshotId,
+      username: snapshot.instagramUsername,
+      orderId: req.order.orderId,
+      unlockedAt: req.entitlement.grantedAt,
+      cards: snapshot.cards || [],
+      steps: (snapshot.steps || []).map((step) => ({
+        name: step.name,
+        htmlPath: isPaidStep(step.name)
+          ? `/api/reports/${snapshotId}/${step.name}`
+          : `/api/snapshots/${snapshotId}/${step.name}`,
+        meta: step.meta || {},
+      })),
+      parsed: parsed?.parsed || {},
+    });
+  } catch (err) {
+    log(`❌ Error serving report: ${err.message}`);
+    res.status(500).json({ error: "Failed to retrieve report" });
+  }
+});
+
+// HTML of any step of an unlocked report, paid steps included
+app.get("/api/reports/:snapshotId/:stepName", requireEntitlement, (req, res) =>
+  sendStepHtml(res, req.params.snapshotId, req.params.stepName)
+);
+
+// Structured data parsed from a snapshot's steps at scrape time.
+// Must stay above /:stepName, which would otherwise treat "parsed" as a step.
+app.get("/api/snapshots/:snapshotId/parsed", async (req, res) => {
+  const { snapshotId } = req.params;
+
+  try {
+    const snapshot = await getRepositories().snapshots.getParsed(snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
+    // Paid steps are left out: /api/reports/:snapshotId has them once unlocked
+    const steps = Object.fromEntries(
+      Object.entries(snapshot.parsed).filter(([stepName]) => !isPaidStep(stepName))
+    );
+
+    // Checked against the current schemas, so data stored by an older parser shows up as drift
+    const validation = {};
+    for (const [stepName, data] of Object.entries(steps)) {
+      const result = validateParsedStep(stepName, data);
+      if (result) validation[stepName] = result;
+    }
+
+    res.json({
+      snapshotId,
+      status: snapshot.status,
+      schemaVersions: STEP_SCHEMA_VERSIONS,
+      steps,
+      validation,
+      // Registry candidates the scraper flow matched; parsers report theirs in diagnostics.selectors
+      selectorMatches: snapshot.selectorMatches,
+    });
+  } catch (err) {
+    log(`❌ Error serving parsed snapshot: ${err.message}`);
+    res.status(500).json({ error: "Failed to retrieve parsed snapshot" });
+  }
+});
+
+// Images moved out of captured pages; content-addressed, so cacheable forever
+app.get("/api/images/:hash", async (req, res) => {
+  const { hash } = req.params;
+  const etag = `"${hash}"`;
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
   try {
-    const html = await getSnapshotStep(snapshotId, stepName);
+    const image = await getImage(hash);
+    if (!image) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    res.setHeader('Content-Type', image.contentType);
+    // Only ever an image: never let a browser sniff it into something else
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('ETag', etag);
+    res.send(image.data);
+  } catch (err) {
+    log(`❌ Error serving image ${hash}: ${err.message}`);
+    res.status(500).json({ error: "Failed to retrieve image" });
+  }
+});
+
+// Stream a stored step's HTML
+const sendStepHtml = async (res, snapshotId, stepName) => {
+  try {
+    const body = await getRepositories().snapshots.getStepStream(snapshotId, stepName);
     
-    if (!html) {
+    if (!body) {
       return res.status(404).json({ error: "Snapshot not found" });
     }
     
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.send(html);
+    body.on('error', (streamErr) => {
+      log(`❌ Error streaming snapshot: ${streamErr.message}`);
+      res.destroy(streamErr);
+    });
+    body.pipe(res);
   } catch (err) {
     log(`❌ Error serving snapshot: ${err.message}`);
     res.status(500).json({ error: "Failed to retrieve snapshot" });
   }
+};
+
+// New endpoint: Serve stored HTML snapshots (paid steps only through /api/reports)
+app.get("/api/snapshots/:snapshotId/:stepName", (req, res) => {
+  const { snapshotId, stepName } = req.params;
+
+  if (isPaidStep(stepName)) {
+    return res.status(403).json({
+      error: "This step is part of the paid report",
+      reportPath: `/api/reports/${snapshotId}/${stepName}`,
+    });
+  }
+  return sendStepHtml(res, snapshotId, stepName);
+});
+
+// Create a scrape job; returns its ID immediately instead of holding the request open
+app.post("/api/jobs", async (req, res) => {
+  const username = req.body?.username;
+  const locale = readLocale(req.body?.locale);
+
+  if (!username) {
+    return res.status(400).json({ error: "username required" });
+  }
+  if (!locale) {
+    return sendUnsupportedLocale(res, req.body.locale);
+  }
+
+  try {
+    const { job, reused } = await jobManager.create(username, scrape, { locale });
+    res.status(reused ? 200 : 202).json({
+      ...serializeJob(job),
+      reused,
+      statusUrl: `/api/jobs/${job.jobId}`,
+      eventsUrl: `/api/jobs/${job.jobId}/events`,
+    });
+  } catch (err) {
+    if (err?.code === "QUEUE_FULL") {
+      return sendBusy(res, err.retryAfter);
+    }
+    log(`❌ Error creating job: ${err.message}`);
+    res.status(500).json({ error: "Failed to create job" });
+  }
+});
+
+// Job status: steps captured so far, cards and error
+app.get("/api/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await jobManager.get(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(serializeJob(job));
+  } catch (err) {
+    log(`❌ Error fetching job ${req.params.jobId}: ${err.message}`);
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+});
+
+// Job event stream. Replays what already happened, then streams live events,
+// so a client can reconnect at any point without starting a new scrape.
+app.get("/api/jobs/:jobId/events", async (req, res) => {
+  const { jobId } = req.params;
+  const live = jobManager.getLive(jobId);
+  let job;
+  try {
+    job = live || (await jobManager.get(jobId));
+  } catch (err) {
+    log(`❌ Error fetching job ${jobId}: ${err.message}`);
+    return res.status(500).json({ error: "Failed to fetch job" });
+  }
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  const send = openEventStream(res);
+  send("status", { status: job.status, jobId });
+  (job.steps || []).forEach((step) => send("snapshot", step));
+
+  if (job.status === "completed") {
+    const { steps, cards, snapshotId, runId } = serializeJob(job);
+    send("done", { jobId, runId, snapshotId, steps, cards });
+    return res.end();
+  }
+
+  if (job.status === "failed" || !live) {
+    send("error", { jobId, error: job.error || "Job is no longer running" });
+    return res.end();
+  }
+
+  const unsubscribe = jobManager.subscribe(jobId, (event, data) => {
+    send(event, data);
+    if (event === "done" || event === "error") {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  req.on('close', () => {
+    log(`🔌 Job event client disconnected: ${jobId}`);
+    unsubscribe();
+  });
 });
 
 app.get("/api/stalkers", async (req, res) => {
   const startTime = Date.now();
   const username = req.query.username;
+  const locale = readLocale(req.query.locale);
   
-  log(`📥 New request received for username: ${username || 'MISSING'}`);
+  log(`📥 New request received for username: ${username || 'MISSING'} (locale: ${req.query.locale || DEFAULT_LOCALE})`);
   
   if (!username) {
     log('❌ Request rejected: username required');
     return res.json({ error: "username required" });
   }
+  if (!locale) {
+    log(`❌ Request rejected: unsupported locale "${req.query.locale}"`);
+    return sendUnsupportedLocale(res, req.query.locale);
+  }
+
+  const queueKey = scrapeKey(username, locale);
 
-  // Check for recent cached snapshot (within last hour)
+  // Aborted when this client goes away; the queue cancels the scrape once
+  // no client is left waiting for it
+  const disconnect = new AbortController();
+
+  // Check for recent cached snapshot (within the cache window)
   try {
-    const recentSnapshot = await getRecentSnapshot(username, 60); // 60 minutes cache
+    // Cache window = the shorter retention, so a cached snapshot and its HTML always still exist
+    const recentSnapshot = await getRepositories().snapshots.getRecent(username, getCacheMinutes(), locale);
     if (recentSnapshot) {
       log(`✅ Found cached snapshot for ${username} (created ${((Date.now() - recentSnapshot.createdAt) / 1000).toFixed(0)}s ago)`);
       
@@ -320,6 +1017,7 @@ app.get("/api/stalkers", async (req, res) => {
         steps: cachedSteps,
         snapshotId: recentSnapshot._id.toString(),
         runId: recentSnapshot.runId,
+        locale,
         cached: true
       });
     }
@@ -328,6 +1026,13 @@ app.get("/api/stalkers", async (req, res) => {
     // Continue with scraping if cache check fails
   }
 
+  // Reject before opening a stream if there is no room in the queue
+  if (!scrapeQueue.canAccept(queueKey)) {
+    const retryAfter = scrapeQueue.estimateRetryAfter();
+    log(`🚫 Queue full, rejecting ${username} (retry after ${retryAfter}s)`);
+    return sendBusy(res, retryAfter);
+  }
+
   // Check if client wants SSE streaming (EventSource)
   const acceptHeader = req.headers.accept || '';
   const wantsSSE = acceptHeader.includes('text/event-stream') || req.query.stream === 'true';
@@ -336,30 +1041,15 @@ app.get("/api/stalkers", async (req, res) => {
     // Server-Sent Events streaming mode
     log(`📡 Starting SSE streaming for username: ${username}`);
     
-    res.writeHead(200, {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      "Connection": "keep-alive",
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Headers": "Cache-Control",
-    });
-
-    const send = (event, data) => {
-      try {
-        res.write(`event: ${event}\n`);
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
-      } catch (err) {
-        log(`⚠️ Error sending SSE event: ${err.message}`);
-      }
-    };
+    const send = openEventStream(res);
 
     // Use queue to handle concurrent requests
-    scrapeQueue.enqueue(username, async (username) => {
+    scrapeQueue.enqueue(queueKey, async (key, signal) => {
       return await scrape(username, (step) => {
         log(`📤 Emitting snapshot via SSE: ${step.name}`);
         send("snapshot", step);
-      });
-    })
+      }, { locale, signal });
+    }, { signal: disconnect.signal })
     .then((finalResult) => {
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       log(`✅ Scrape completed successfully in ${duration}s`);
@@ -370,28 +1060,56 @@ app.get("/api/stalkers", async (req, res) => {
     .catch((err) => {
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       const errorMessage = err?.message || err?.toString() || 'Unknown error occurred';
+      if (err?.code === "SCRAPE_CANCELLED") {
+        log(`🛑 Scrape cancelled after ${duration}s: ${errorMessage}`);
+        return res.end();
+      }
       log(`❌ Scrape failed after ${duration}s:`, errorMessage);
-      send("error", { error: errorMessage });
+      if (err?.code === "QUEUE_FULL") {
+        send("error", { error: "busy", message: errorMessage, retryAfter: err.retryAfter });
+      } else {
+        send("error", { error: errorMessage });
+      }
       res.end();
     });
 
     // Handle client disconnect
     req.on('close', () => {
+      if (res.writableEnded) return;
       log(`🔌 Client disconnected for username: ${username}`);
+      disconnect.abort();
       res.end();
     });
   } else {
     // Legacy mode: return everything at once (for backward compatibility)
     log(`⏱️  Starting scrape process... (this may take 30-60 seconds)`);
     
+    req.on('close', () => {
+      if (res.writableEnded) return;
+      log(`🔌 Client disconnected for username: ${username}`);
+      disconnect.abort();
+    });
+
     try {
       // Use queue to handle concurrent requests
-      const result = await scrapeQueue.enqueue(username, scrape);
+      const result = await scrapeQueue.enqueue(
+        queueKey,
+        (key, signal) => scrape(username, null, { locale, signal }),
+        { signal: disconnect.signal }
+      );
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       log(`✅ Scrape completed successfully in ${duration}s`);
       log(`📊 Returning ${result.cards?.length || 0} cards and ${result.steps?.length || 0} snapshots`);
       res.json(result);
     } catch (err) {
+      if (err?.code === "QUEUE_FULL") {
+        return sendBusy(res, err.retryAfter);
+      }
+      if (err?.code === "SCRAPE_CANCELLED") {
+        // Nobody is left to answer
+        log(`🛑 ${err.message}`);
+        return;
+      }
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       const errorMessage = err?.message || err?.toString() || 'Unknown error occurred';
       log(`❌ Scrape failed after ${duration}s:`, errorMessage);
@@ -402,31 +1120,49 @@ app.get("/api/stalkers", async (req, res) => {
   }
 });
 
-// Initialize MongoDB on server start (non-blocking)
-connectDB().catch((err) => {
-  log('⚠️ MongoDB connection failed on startup (will retry on first use):', err.message);
-});
+// Started by `npm start`; tests import the app without listening
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  log('🛑 SIGTERM received, closing connections...');
-  await closeDB();
-  process.exit(0);
-});
+if (isMainModule) {
+  // Initialize MongoDB on server start (non-blocking)
+  if (getStorageDriver() === "mongodb") {
+    connectDB().catch((err) => {
+      log('⚠️ MongoDB connection failed on startup (will retry on first use):', err.message);
+    });
+  }
 
-process.on('SIGINT', async () => {
-  log('🛑 SIGINT received, closing connections...');
-  await closeDB();
-  process.exit(0);
-});
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    log('🛑 SIGTERM received, closing connections...');
+    await browserPool.drain();
+    await closeDB();
+    process.exit(0);
+  });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  log(`🚀 API server started on port ${PORT}`);
-  log(`📍 Endpoint: http://localhost:${PORT}/api/stalkers?username=<instagram_username>`);
-  log(`📍 Snapshot Endpoint: http://localhost:${PORT}/api/snapshots/:snapshotId/:stepName`);
-  log(`📍 Payment Endpoint: http://localhost:${PORT}/api/payment/create-session`);
-  log('⏱️  Expected response time: 30-60 seconds per request');
-  log('🗄️  Snapshots stored in MongoDB (auto-deleted after 10 minutes)');
-});
+  process.on('SIGINT', async () => {
+    log('🛑 SIGINT received, closing connections...');
+    await browserPool.drain();
+    await closeDB();
+    process.exit(0);
+  });
+
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    log(`🚀 API server started on port ${PORT}`);
+    log(`📍 Endpoint: http://localhost:${PORT}/api/stalkers?username=<instagram_username>`);
+    log(`📍 Jobs Endpoint: http://localhost:${PORT}/api/jobs (POST), /api/jobs/:jobId, /api/jobs/:jobId/events`);
+    log(`📍 Snapshot Endpoint: http://localhost:${PORT}/api/snapshots/:snapshotId/:stepName`);
+    log(`📍 Parsed Snapshot Endpoint: http://localhost:${PORT}/api/snapshots/:snapshotId/parsed`);
+    log(`📍 Payment Endpoint: http://localhost:${PORT}/api/payment/create-session`);
+    log('⏱️  Expected response time: 30-60 seconds per request');
+    const retention = getRetentionPolicy();
+    log(`🗄️  Snapshots stored in ${getStorageDriver()} (auto-deleted after ${retention.snapshotMinutes} minutes, HTML after ${retention.htmlMinutes}, paid reports after ${retention.paidDays} days)`);
+
+    // Launch browsers up front so the first scrapes skip Chromium startup
+    browserPool.warm(Number(process.env.BROWSER_POOL_WARM ?? 1)).catch((err) => {
+      log('⚠️ Browser pool warm-up failed (browsers will launch on demand):', err.message);
+    });
+  });
+}
 
+export { app };
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { BrowserPool } from "../scraper/browser.js";
+
+// Stand-in for a Playwright browser: contexts that close, no real Chromium
+const fakeBrowser = () =>
+  Object.assign(new EventEmitter(), {
+    isConnected: () => true,
+    newContext: async () => ({ close: async () => {} }),
+    close: async () => {},
+  });
+
+const config = { maxSize: 1, maxUses: 20, contextsPerBrowser: 1 };
+
+test("a failed launch hands its slot to the next waiter", async () => {
+  let rejectLaunch;
+  let launches = 0;
+  const pool = new BrowserPool(config, {
+    launch: () => {
+      launches += 1;
+      return launches === 1 ? new Promise((resolve, reject) => (rejectLaunch = reject)) : Promise.resolve(fakeBrowser());
+    },
+  });
+
+  const first = pool.acquire();
+  const second = pool.acquire();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(pool.getStatus().waiting, 1);
+
+  rejectLaunch(new Error("Chromium failed to start"));
+  await assert.rejects(first, /Chromium failed to start/);
+
+  const { release } = await second;
+  assert.equal(pool.getStatus().waiting, 0);
+  assert.equal(launches, 2);
+  await release();
+});
+
+test("waiters get a context once one is released", async () => {
+  const pool = new BrowserPool(config, { launch: async () => fakeBrowser() });
+
+  const first = await pool.acquire();
+  const second = pool.acquire();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(pool.getStatus().waiting, 1);
+
+  await first.release();
+  const { release } = await second;
+  assert.equal(pool.getStatus().browsers.length, 1);
+  await release();
+});
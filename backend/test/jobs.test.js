@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STORAGE_DRIVER = "memory";
+const { jobManager } = await import("../utils/jobs.js");
+const { getRepositories } = await import("../repositories/index.js");
+
+// Stored job once the repository has its final status
+const storedWhenFinished = async (jobId) => {
+  for (let i = 0; i < 50; i++) {
+    const stored = await getRepositories().jobs.get(jobId);
+    if (stored?.status === "completed" || stored?.status === "failed") return stored;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} never finished in the repository`);
+};
+
+test("a re-captured step replaces its stored entry", async (t) => {
+  const jobs = getRepositories().jobs;
+  const storedSteps = [];
+  const update = jobs.update.bind(jobs);
+  t.mock.method(jobs, "update", async (jobId, fields) => {
+    if (fields.steps && !fields.status) storedSteps.push(fields.steps.map((step) => [step.name, step.html]));
+    return update(jobId, fields);
+  });
+
+  const scrape = async (username, onStep) => {
+    onStep({ name: "profile-confirm", html: "<p>first</p>" }, "snapshot-1");
+    onStep({ name: "processing", html: "<p>processing</p>" });
+    onStep({ name: "profile-confirm", html: "<p>second</p>" });
+    return { snapshotId: "snapshot-1", runId: "run-1" };
+  };
+
+  const { job } = await jobManager.create("someone", scrape);
+  const stored = await storedWhenFinished(job.jobId);
+
+  // The write for the re-captured step already holds one entry per step
+  assert.deepEqual(storedSteps.at(-1), [
+    ["processing", "<p>processing</p>"],
+    ["profile-confirm", "<p>second</p>"],
+  ]);
+  assert.equal(stored.status, "completed");
+  assert.equal(stored.snapshotId, "snapshot-1");
+  assert.deepEqual(
+    stored.steps.map((step) => step.name),
+    ["processing", "profile-confirm"]
+  );
+});
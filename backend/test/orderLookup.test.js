@@ -0,0 +1,100 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.CASHFREE_API_KEY ??= "test-key";
+process.env.CASHFREE_SECRET_KEY ??= "test-secret";
+const { app } = await import("../server.js");
+const { mailer } = await import("../utils/mailer.js");
+const { createOrder } = await import("../utils/orders.js");
+const { getRepositories } = await import("../repositories/index.js");
+
+let server;
+let baseUrl;
+let sent = [];
+
+const post = async (pathname, body) => {
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// The code from the last lookup mail sent to `to`
+const mailedCode = (to) => sent.filter((message) => message.to === to).at(-1)?.text.match(/\b(\d{6})\b/)[1];
+
+// A wrong guess for `code`
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, "0");
+
+let orderCount = 0;
+const placeOrder = (email) => {
+  orderCount += 1;
+  return createOrder({ orderId: `ORDER_LOOKUP_${orderCount}`, snapshotId: "snapshot-1", email, amount: 199, currency: "INR" });
+};
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+beforeEach((t) => {
+  sent = [];
+  t.mock.method(mailer, "send", async (message) => {
+    sent.push(message);
+  });
+});
+
+test("answers the same for addresses with and without orders", async () => {
+  await placeOrder("known@example.com");
+
+  const known = await post("/api/orders/lookup", { email: "Known@Example.com " });
+  const unknown = await post("/api/orders/lookup", { email: "nobody@example.com" });
+
+  assert.equal(known.status, 202);
+  assert.deepEqual(unknown, known);
+  assert.deepEqual(sent.map((message) => message.to), ["known@example.com"]);
+});
+
+test("a mailed code returns the address's orders with working access tokens, once", async () => {
+  await placeOrder("buyer@example.com");
+  await placeOrder("buyer@example.com");
+  await post("/api/orders/lookup", { email: "buyer@example.com" });
+  // Asking again within a minute doesn't mail another code
+  await post("/api/orders/lookup", { email: "buyer@example.com" });
+  assert.equal(sent.length, 1);
+  const code = mailedCode("buyer@example.com");
+
+  assert.equal((await post("/api/orders/lookup/verify", { email: "buyer@example.com", code: wrongCode(code) })).status, 401);
+
+  const verified = await post("/api/orders/lookup/verify", { email: "BUYER@example.com", code });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.orders.length, 2);
+  for (const order of verified.body.orders) {
+    const receipt = await fetch(`${baseUrl}/api/orders/${order.orderId}`, {
+      headers: { Authorization: `Bearer ${order.accessToken}` },
+    });
+    assert.equal(receipt.status, 200, order.orderId);
+  }
+
+  assert.equal((await post("/api/orders/lookup/verify", { email: "buyer@example.com", code })).status, 401);
+});
+
+test("a code takes five guesses, even when they arrive together", async () => {
+  await placeOrder("guesser@example.com");
+  await post("/api/orders/lookup", { email: "guesser@example.com" });
+  const code = mailedCode("guesser@example.com");
+
+  const guesses = await Promise.all(
+    Array.from({ length: 20 }, () => post("/api/orders/lookup/verify", { email: "guesser@example.com", code: wrongCode(code) }))
+  );
+  assert.ok(guesses.every((guess) => guess.status === 401));
+  assert.equal((await getRepositories().orders.getLookupCode("guesser@example.com")).attempts, 5);
+
+  assert.equal((await post("/api/orders/lookup/verify", { email: "guesser@example.com", code })).status, 401);
+});
@@ -0,0 +1,236 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+process.env.STORAGE_DRIVER = "memory";
+const {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parsePaymentWebhook,
+  parseRefundWebhook,
+} = await import("../utils/cashfree.js");
+const {
+  ORDER_STATUS,
+  canTransition,
+  createOrder,
+  getOrder,
+  applyPaymentEvent,
+  applyRefundEvent,
+} = await import("../utils/orders.js");
+const { findEntitlement } = await import("../utils/entitlements.js");
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SECRET = "test-secret";
+
+const readFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, "..", "fixtures", "webhooks", `${name}.json`), "utf8"));
+
+let orderCount = 0;
+
+/**
+ * Store an order in the given status (a fresh ID each time)
+ */
+const makeOrder = async (status = ORDER_STATUS.CREATED) => {
+  orderCount += 1;
+  const order = {
+    orderId: `ORDER_TEST_${orderCount}`,
+    snapshotId: `snapshot-${orderCount}`,
+    username: "someone",
+    productId: "full-report",
+    email: "test@example.com",
+    amount: 199,
+    currency: "INR",
+  };
+  await createOrder(order);
+  if (status !== ORDER_STATUS.CREATED) {
+    // Walk there through real events so entitlements match the status
+    await applyPaymentEvent(order.orderId, paymentEvent(order.orderId, ORDER_STATUS.PAID));
+    if (status === ORDER_STATUS.PARTIALLY_REFUNDED) {
+      await applyRefundEvent(order.orderId, refundEvent(order.orderId, "R1", 50));
+    } else if (status === ORDER_STATUS.REFUNDED) {
+      await applyRefundEvent(order.orderId, refundEvent(order.orderId, "R1", 199));
+    } else if (status !== ORDER_STATUS.PAID) {
+      throw new Error(`makeOrder can't reach ${status}`);
+    }
+  }
+  return getOrder(order.orderId);
+};
+
+/**
+ * Payment event as parsed from the matching webhook fixture
+ */
+const paymentEvent = (orderId, status, { amount = 199, paymentId = `${orderId}-${status}` } = {}) => {
+  const fixture = {
+    [ORDER_STATUS.PAID]: "payment-success",
+    [ORDER_STATUS.FAILED]: "payment-failed",
+    [ORDER_STATUS.USER_DROPPED]: "payment-user-dropped",
+  }[status];
+  const payload = readFixture(fixture);
+  payload.data.order.order_id = orderId;
+  payload.data.payment.cf_payment_id = paymentId;
+  payload.data.payment.payment_amount = amount;
+  return parsePaymentWebhook(payload, JSON.stringify(payload));
+};
+
+const refundEvent = (orderId, refundId, amount, fixture = "refund-success") => {
+  const payload = readFixture(fixture);
+  Object.assign(payload.data.refund, {
+    order_id: orderId,
+    refund_id: refundId,
+    cf_refund_id: `CF_${refundId}`,
+    refund_amount: amount,
+  });
+  return parseRefundWebhook(payload);
+};
+
+test("webhook signature: accepts Cashfree's signature of the raw body", () => {
+  const rawBody = JSON.stringify(readFixture("payment-success"));
+  const timestamp = "1704090600000";
+  const signature = signWebhookPayload(rawBody, timestamp, SECRET);
+
+  assert.equal(verifyWebhookSignature(rawBody, timestamp, signature, SECRET), true);
+});
+
+test("webhook signature: rejects tampering, other keys and missing parts", () => {
+  const rawBody = JSON.stringify(readFixture("payment-success"));
+  const timestamp = "1704090600000";
+  const signature = signWebhookPayload(rawBody, timestamp, SECRET);
+
+  assert.equal(verifyWebhookSignature(rawBody.replace("199", "1"), timestamp, signature, SECRET), false);
+  assert.equal(verifyWebhookSignature(rawBody, "1704090600001", signature, SECRET), false);
+  assert.equal(verifyWebhookSignature(rawBody, timestamp, signature, "other-secret"), false);
+  assert.equal(verifyWebhookSignature(rawBody, timestamp, signature.slice(0, -2), SECRET), false);
+  assert.equal(verifyWebhookSignature(rawBody, timestamp, "", SECRET), false);
+  assert.equal(verifyWebhookSignature(rawBody, timestamp, signature, undefined), false);
+  assert.equal(verifyWebhookSignature("", timestamp, signature, SECRET), false);
+});
+
+test("duplicate webhook: a redelivery is recorded once and grants once", async () => {
+  const order = await makeOrder();
+  const payload = readFixture("payment-success");
+  payload.data.order.order_id = order.orderId;
+  const rawBody = JSON.stringify(payload);
+
+  const first = await applyPaymentEvent(order.orderId, parsePaymentWebhook(payload, rawBody));
+  const second = await applyPaymentEvent(order.orderId, parsePaymentWebhook(JSON.parse(rawBody), rawBody));
+
+  assert.equal(first.result, "applied");
+  assert.equal(second.result, "duplicate");
+  const stored = await getOrder(order.orderId);
+  assert.equal(stored.status, ORDER_STATUS.PAID);
+  assert.equal(stored.events.length, 1);
+  assert.ok(await findEntitlement(order.snapshotId, order.orderId));
+});
+
+test("duplicate refund webhook: recorded once", async () => {
+  const order = await makeOrder(ORDER_STATUS.PAID);
+  const event = refundEvent(order.orderId, "R_DUP", 50);
+
+  assert.equal((await applyRefundEvent(order.orderId, event)).result, "applied");
+  assert.equal((await applyRefundEvent(order.orderId, { ...event })).result, "duplicate");
+  const stored = await getOrder(order.orderId);
+  assert.equal(stored.refundedAmount, 50);
+  assert.equal(stored.refunds.length, 1);
+});
+
+const PAYMENT_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.FAILED, ORDER_STATUS.USER_DROPPED];
+const ALLOWED = {
+  [ORDER_STATUS.CREATED]: PAYMENT_STATUSES,
+  [ORDER_STATUS.FAILED]: PAYMENT_STATUSES,
+  [ORDER_STATUS.USER_DROPPED]: PAYMENT_STATUSES,
+  [ORDER_STATUS.PAID]: [],
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: [],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+test("transitions: canTransition allows exactly the documented moves", () => {
+  for (const from of Object.values(ORDER_STATUS)) {
+    for (const to of Object.values(ORDER_STATUS)) {
+      assert.equal(canTransition(from, to), ALLOWED[from].includes(to), `${from} → ${to}`);
+    }
+  }
+  assert.equal(canTransition("unknown", ORDER_STATUS.PAID), false);
+});
+
+for (const from of Object.keys(ALLOWED)) {
+  for (const to of PAYMENT_STATUSES) {
+    const allowed = ALLOWED[from].includes(to);
+    test(`transitions: payment event ${from} → ${to} is ${allowed ? "applied" : "ignored"}`, async () => {
+      let order = await makeOrder(from === ORDER_STATUS.FAILED || from === ORDER_STATUS.USER_DROPPED ? ORDER_STATUS.CREATED : from);
+      if (order.status !== from) {
+        await applyPaymentEvent(order.orderId, paymentEvent(order.orderId, from));
+        order = await getOrder(order.orderId);
+      }
+      assert.equal(order.status, from);
+
+      const { result } = await applyPaymentEvent(order.orderId, paymentEvent(order.orderId, to, { paymentId: `retry-${to}` }));
+      const stored = await getOrder(order.orderId);
+
+      // Every event is recorded, even one that doesn't change the status
+      assert.equal(result, "applied");
+      assert.equal(stored.status, allowed ? to : from);
+      const last = stored.events.at(-1);
+      assert.equal(last.toStatus, stored.status);
+      assert.equal(Boolean(last.note), !allowed);
+    });
+  }
+}
+
+test("transitions: a payment for the wrong amount doesn't mark the order paid", async () => {
+  const order = await makeOrder();
+  await applyPaymentEvent(order.orderId, paymentEvent(order.orderId, ORDER_STATUS.PAID, { amount: 1 }));
+
+  assert.equal((await getOrder(order.orderId)).status, ORDER_STATUS.CREATED);
+  assert.equal(await findEntitlement(order.snapshotId, order.orderId), null);
+});
+
+test("refunds: a partial refund keeps the report unlocked", async () => {
+  const order = await makeOrder(ORDER_STATUS.PAID);
+  await applyRefundEvent(order.orderId, refundEvent(order.orderId, "R_PART", 50));
+
+  const stored = await getOrder(order.orderId);
+  assert.equal(stored.status, ORDER_STATUS.PARTIALLY_REFUNDED);
+  assert.equal(stored.refundedAmount, 50);
+  assert.ok(await findEntitlement(order.snapshotId, order.orderId));
+});
+
+test("refunds: refunds adding up to the amount revoke the entitlement", async () => {
+  const order = await makeOrder(ORDER_STATUS.PARTIALLY_REFUNDED);
+  await applyRefundEvent(order.orderId, refundEvent(order.orderId, "R2", 149));
+
+  const stored = await getOrder(order.orderId);
+  assert.equal(stored.status, ORDER_STATUS.REFUNDED);
+  assert.equal(stored.refundedAmount, 199);
+  assert.equal(await findEntitlement(order.snapshotId, order.orderId), null);
+});
+
+test("refunds: a full refund revokes the entitlement", async () => {
+  const order = await makeOrder(ORDER_STATUS.PAID);
+  assert.ok(await findEntitlement(order.snapshotId, order.orderId));
+
+  await applyRefundEvent(order.orderId, refundEvent(order.orderId, "R_FULL", 199));
+
+  assert.equal((await getOrder(order.orderId)).status, ORDER_STATUS.REFUNDED);
+  assert.equal(await findEntitlement(order.snapshotId, order.orderId), null);
+});
+
+test("refunds: a cancelled refund changes nothing", async () => {
+  const order = await makeOrder(ORDER_STATUS.PAID);
+  await applyRefundEvent(order.orderId, refundEvent(order.orderId, "R_CANCEL", 199, "refund-cancelled"));
+
+  const stored = await getOrder(order.orderId);
+  assert.equal(stored.status, ORDER_STATUS.PAID);
+  assert.equal(stored.refundedAmount, 0);
+  assert.ok(await findEntitlement(order.snapshotId, order.orderId));
+});
+
+test("refunds: a refund on an unpaid order is ignored", async () => {
+  const order = await makeOrder();
+  await applyRefundEvent(order.orderId, refundEvent(order.orderId, "R_UNPAID", 199));
+
+  const stored = await getOrder(order.orderId);
+  assert.equal(stored.status, ORDER_STATUS.CREATED);
+  assert.equal(stored.refunds, undefined);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PRODUCTS, priceOrder } from "../config/products.js";
+
+const invalidOrder = { code: "INVALID_ORDER" };
+
+test("prices a known product from the catalogue", () => {
+  const pricing = priceOrder("full-report", 2);
+  assert.equal(pricing.amount, PRODUCTS["full-report"].unitPrice * 2);
+  assert.equal(pricing.discount, pricing.retailAmount - pricing.amount);
+});
+
+test("rejects IDs that only exist on the object prototype", () => {
+  for (const productId of ["__proto__", "constructor", "toString", "hasOwnProperty"]) {
+    assert.throws(() => priceOrder(productId, 1), invalidOrder, productId);
+  }
+  assert.throws(() => priceOrder({ toString: () => "full-report" }, 1), invalidOrder);
+});
+
+test("rejects out-of-range quantities", () => {
+  for (const quantity of [0, -1, 1.5, "abc", PRODUCTS["full-report"].maxQuantity + 1]) {
+    assert.throws(() => priceOrder("full-report", quantity), invalidOrder, String(quantity));
+  }
+});
+
+test("rejects a product whose amount isn't a positive number", () => {
+  for (const unitPrice of [0, -5, NaN, Infinity, undefined]) {
+    const products = { broken: { ...PRODUCTS["full-report"], id: "broken", unitPrice } };
+    assert.throws(() => priceOrder("broken", 1, products), invalidOrder, String(unitPrice));
+  }
+});
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ScrapeQueue } from "../utils/queue.js";
+
+// A scrape that runs until the test settles it; records whether it started
+const deferredScrape = () => {
+  const scrape = { started: false, signal: null };
+  scrape.done = new Promise((resolve, reject) => Object.assign(scrape, { resolve, reject }));
+  scrape.run = (username, signal) => {
+    scrape.started = true;
+    scrape.signal = signal;
+    signal.addEventListener("abort", () => scrape.reject(signal.reason), { once: true });
+    return scrape.done;
+  };
+  return scrape;
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("runs at most `concurrency` scrapes and starts queued ones in order", async () => {
+  const queue = new ScrapeQueue({ concurrency: 1, maxQueueLength: 5 });
+  const first = deferredScrape();
+  const second = deferredScrape();
+
+  const firstResult = queue.enqueue("first", first.run);
+  const secondResult = queue.enqueue("second", second.run);
+  await tick();
+  assert.equal(first.started, true);
+  assert.equal(second.started, false);
+  assert.deepEqual(queue.getStatus().queued, ["second"]);
+
+  first.resolve("first done");
+  assert.equal(await firstResult, "first done");
+  await tick();
+  assert.equal(second.started, true);
+
+  second.resolve("second done");
+  assert.equal(await secondResult, "second done");
+  assert.equal(queue.getStatus().running, 0);
+});
+
+test("rejects new usernames with QUEUE_FULL and a Retry-After once the line is full", async () => {
+  const queue = new ScrapeQueue({ concurrency: 1, maxQueueLength: 1 });
+  const running = deferredScrape();
+  const queued = deferredScrape();
+  const results = [queue.enqueue("running", running.run), queue.enqueue("queued", queued.run)];
+
+  await assert.rejects(queue.enqueue("third", deferredScrape().run), (err) => {
+    assert.equal(err.code, "QUEUE_FULL");
+    assert.ok(Number.isInteger(err.retryAfter) && err.retryAfter >= 5);
+    return true;
+  });
+
+  // A username already in line joins that scrape instead of taking a place
+  assert.equal(queue.canAccept("queued"), true);
+  const joined = queue.enqueue("queued", deferredScrape().run);
+
+  running.resolve("running done");
+  await tick();
+  queued.resolve("queued done");
+  assert.deepEqual(await Promise.all([...results, joined]), ["running done", "queued done", "queued done"]);
+});
+
+test("drops a queued scrape once its only client disconnects", async () => {
+  const queue = new ScrapeQueue({ concurrency: 1, maxQueueLength: 5 });
+  const running = deferredScrape();
+  const queued = deferredScrape();
+  const client = new AbortController();
+
+  const runningResult = queue.enqueue("running", running.run);
+  const queuedResult = queue.enqueue("queued", queued.run, { signal: client.signal });
+  client.abort();
+
+  await assert.rejects(queuedResult, { code: "SCRAPE_CANCELLED" });
+  assert.deepEqual(queue.getStatus().queued, []);
+
+  running.resolve("running done");
+  await runningResult;
+  assert.equal(queued.started, false);
+});
+
+test("aborts a running scrape when the last of its clients disconnects", async () => {
+  const queue = new ScrapeQueue({ concurrency: 1, maxQueueLength: 5 });
+  const scrape = deferredScrape();
+  const firstClient = new AbortController();
+  const secondClient = new AbortController();
+
+  const first = queue.enqueue("someone", scrape.run, { signal: firstClient.signal });
+  const second = queue.enqueue("someone", deferredScrape().run, { signal: secondClient.signal });
+  await tick();
+
+  firstClient.abort();
+  assert.equal(scrape.signal.aborted, false);
+
+  secondClient.abort();
+  assert.equal(scrape.signal.aborted, true);
+  await assert.rejects(first, { code: "SCRAPE_CANCELLED" });
+  await assert.rejects(second, { code: "SCRAPE_CANCELLED" });
+});
+
+test("a client without a signal keeps the scrape running", async () => {
+  const queue = new ScrapeQueue({ concurrency: 1, maxQueueLength: 5 });
+  const scrape = deferredScrape();
+  const client = new AbortController();
+
+  const pinned = queue.enqueue("someone", scrape.run);
+  const leaving = queue.enqueue("someone", deferredScrape().run, { signal: client.signal });
+  await tick();
+
+  client.abort();
+  assert.equal(scrape.signal.aborted, false);
+
+  scrape.resolve("done");
+  assert.deepEqual(await Promise.all([pinned, leaving]), ["done", "done"]);
+});
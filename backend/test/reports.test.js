@@ -0,0 +1,100 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { fileURLToPath } from "url";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.CASHFREE_API_KEY ??= "test-key";
+process.env.CASHFREE_SECRET_KEY ??= "test-secret";
+const { app } = await import("../server.js");
+const { getRepositories } = await import("../repositories/index.js");
+const { parsePaymentWebhook } = await import("../utils/cashfree.js");
+const { createOrder, createOrderAccessToken, applyPaymentEvent } = await import("../utils/orders.js");
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let server;
+let baseUrl;
+let snapshotId;
+let paidToken;
+let unpaidToken;
+
+const get = (pathname, token) =>
+  fetch(`${baseUrl}${pathname}`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+
+// A stored order for snapshotId, paid through a webhook event when `paid`
+const makeOrder = async (orderId, { paid }) => {
+  const { token, tokenHash } = createOrderAccessToken();
+  await createOrder({
+    orderId,
+    snapshotId,
+    productId: "full-report",
+    email: "reports@example.com",
+    amount: 199,
+    currency: "INR",
+    accessTokenHash: tokenHash,
+  });
+  if (paid) {
+    const payload = JSON.parse(
+      fs.readFileSync(path.join(__dirname, "..", "fixtures", "webhooks", "payment-success.json"), "utf8")
+    );
+    payload.data.order.order_id = orderId;
+    payload.data.payment.cf_payment_id = `${orderId}-payment`;
+    payload.data.payment.payment_amount = 199;
+    await applyPaymentEvent(orderId, parsePaymentWebhook(payload, JSON.stringify(payload)));
+  }
+  return token;
+};
+
+before(async () => {
+  const { snapshots } = getRepositories();
+  ({ snapshotId } = await snapshots.saveStep("someone", "run-1", "results", "<p>results</p>"));
+  await snapshots.saveStep("someone", "run-1", "full-report", "<p>full report</p>");
+  await snapshots.saveResult("someone", "run-1", [], []);
+  await snapshots.saveParsedStep(snapshotId, "results", { schemaVersion: 4 });
+  await snapshots.saveParsedStep(snapshotId, "full-report", { schemaVersion: 4 });
+
+  paidToken = await makeOrder("ORDER_REPORTS_PAID", { paid: true });
+  unpaidToken = await makeOrder("ORDER_REPORTS_UNPAID", { paid: false });
+
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+test("free steps are public, paid steps are not served from /api/snapshots", async () => {
+  const free = await get(`/api/snapshots/${snapshotId}/results`);
+  assert.equal(free.status, 200);
+  assert.equal(await free.text(), "<p>results</p>");
+
+  for (const token of [undefined, paidToken]) {
+    const paid = await get(`/api/snapshots/${snapshotId}/full-report`, token);
+    assert.equal(paid.status, 403);
+    assert.equal((await paid.json()).reportPath, `/api/reports/${snapshotId}/full-report`);
+  }
+});
+
+test("/parsed leaves the paid steps out", async () => {
+  const response = await get(`/api/snapshots/${snapshotId}/parsed`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(Object.keys((await response.json()).steps), ["results"]);
+});
+
+test("paid steps need the token of a paid order for the snapshot", async () => {
+  const pathname = `/api/reports/${snapshotId}/full-report`;
+  assert.equal((await get(pathname)).status, 401);
+  assert.equal((await get(pathname, "not-a-token")).status, 401);
+  assert.equal((await get(pathname, unpaidToken)).status, 403);
+
+  const unlocked = await get(pathname, paidToken);
+  assert.equal(unlocked.status, 200);
+  assert.equal(await unlocked.text(), "<p>full report</p>");
+
+  const report = await get(`/api/reports/${snapshotId}`, paidToken);
+  assert.equal(report.status, 200);
+  assert.deepEqual(Object.keys((await report.json()).parsed).sort(), ["full-report", "results"]);
+});
@@ -0,0 +1,164 @@
+import { describe, test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { STORAGE_DRIVERS } from "../repositories/index.js";
+import { closeDB } from "../utils/mongodb.js";
+
+// The same contract cases for every driver; MongoDB only when one is configured
+const DRIVERS = {
+  memory: false,
+  mongodb: !process.env.MONGODB_URI && "MONGODB_URI is not set",
+};
+
+// IDs unique to this run, so a shared MongoDB database doesn't leak state between runs
+const unique = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+
+const order = (fields = {}) => ({
+  orderId: unique("ORDER"),
+  snapshotId: unique("snapshot"),
+  email: `${unique("buyer")}@example.com`,
+  amount: 199,
+  currency: "INR",
+  status: "CREATED",
+  events: [],
+  createdAt: new Date(),
+  ...fields,
+});
+
+for (const [driver, skip] of Object.entries(DRIVERS)) {
+  describe(`${driver} repositories`, { skip }, () => {
+    const { snapshots, jobs, orders } = skip ? {} : STORAGE_DRIVERS[driver]();
+
+    after(() => (driver === "mongodb" ? closeDB() : undefined));
+
+    test("snapshots: steps, parsed data and the cache lookup", async () => {
+      const username = unique("user");
+      const { snapshotId } = await snapshots.saveStep(username, "run-1", "results", "<p>results</p>", {}, "en");
+      await snapshots.saveParsedStep(snapshotId, "results", { schemaVersion: 4 });
+
+      assert.equal(await snapshots.getStepHtml(snapshotId, "results"), "<p>results</p>");
+      assert.equal(await snapshots.getStepHtml(snapshotId, "full-report"), null);
+      assert.equal(await snapshots.getRecent(username, 60, "en"), null, "not completed yet");
+
+      await snapshots.saveResult(username, "run-1", [{ username: "@x" }], [{ name: "results" }]);
+      const recent = await snapshots.getRecent(username, 60, "en");
+      assert.equal(recent._id.toString(), snapshotId);
+      assert.deepEqual(recent.cards, [{ username: "@x" }]);
+      assert.equal(await snapshots.getRecent(username, 60, "pt"), null);
+      assert.equal((await snapshots.getByRunId(username, "run-1"))._id.toString(), snapshotId);
+
+      const parsed = await snapshots.getParsed(snapshotId);
+      assert.equal(parsed.status, "completed");
+      assert.deepEqual(parsed.parsed, { results: { schemaVersion: 4 } });
+    });
+
+    test("snapshots: failed runs are listed with their reason", async () => {
+      const username = unique("user");
+      await snapshots.markFailed(username, "run-1", { reason: "timeout", message: "Timed out" }, "en");
+
+      const failed = await snapshots.listFailed({ reason: "timeout", limit: 200 });
+      const run = failed.find((entry) => entry.instagramUsername === username);
+      assert.ok(run, "failed run listed");
+      assert.equal(run.failure.reason, "timeout");
+      assert.ok((await snapshots.countFailedByReason()).timeout >= 1);
+    });
+
+    test("snapshots: images round-trip by hash", async () => {
+      const hash = crypto.randomBytes(32).toString("hex");
+      assert.equal(await snapshots.saveImages([{ hash, contentType: "image/png", data: Buffer.from("png") }]), true);
+
+      const image = await snapshots.getImage(hash);
+      assert.equal(image.contentType, "image/png");
+      assert.deepEqual(image.data, Buffer.from("png"));
+      assert.equal(await snapshots.getImage(crypto.randomBytes(32).toString("hex")), null);
+    });
+
+    test("jobs: created, updated and read back", async () => {
+      const jobId = crypto.randomBytes(12).toString("hex");
+      const createdAt = new Date();
+      await jobs.create({ jobId, username: "someone", status: "queued", steps: [], createdAt, updatedAt: createdAt });
+      await jobs.update(jobId, { status: "running", steps: [{ name: "landing" }] });
+
+      const job = await jobs.get(jobId);
+      assert.equal(job.status, "running");
+      assert.deepEqual(job.steps, [{ name: "landing" }]);
+      assert.equal(await jobs.get(crypto.randomBytes(12).toString("hex")), null);
+    });
+
+    test("orders: found by ID, email and access token hash", async () => {
+      const stored = order({ accessTokenHash: unique("checkout") });
+      assert.equal(await orders.create(stored), true);
+
+      assert.equal((await orders.get(stored.orderId)).email, stored.email);
+      assert.deepEqual(
+        (await orders.findByEmail(` ${stored.email.toUpperCase()} `)).map((found) => found.orderId),
+        [stored.orderId]
+      );
+      assert.equal((await orders.getByAccessTokenHash(stored.accessTokenHash)).orderId, stored.orderId);
+
+      // Issued tokens are capped; the oldest stops working, the checkout token doesn't
+      const issued = [unique("issued"), unique("issued"), unique("issued")];
+      for (const tokenHash of issued) {
+        await orders.addAccessTokenHash(stored.orderId, tokenHash, 2);
+      }
+      assert.equal(await orders.getByAccessTokenHash(issued[0]), null);
+      assert.equal((await orders.getByAccessTokenHash(issued[2])).orderId, stored.orderId);
+      assert.equal((await orders.getByAccessTokenHash(stored.accessTokenHash)).orderId, stored.orderId);
+    });
+
+    test("orders: updateIfUnchanged applies each event once, to the order as read", async () => {
+      const stored = order();
+      await orders.create(stored);
+      const read = await orders.get(stored.orderId);
+      const paid = { status: "PAID", updatedAt: new Date() };
+
+      assert.equal(await orders.updateIfUnchanged(read, paid, { eventId: "payment-1" }), true);
+      // Same read again: the order has moved on
+      assert.equal(await orders.updateIfUnchanged(read, { status: "FAILED" }, { eventId: "payment-2" }), false);
+
+      const current = await orders.get(stored.orderId);
+      assert.equal(current.status, "PAID");
+      assert.equal(await orders.updateIfUnchanged(current, paid, { eventId: "payment-1" }), false);
+      assert.deepEqual(
+        (await orders.get(stored.orderId)).events.map((event) => event.eventId),
+        ["payment-1"]
+      );
+    });
+
+    test("orders: entitlements are granted once and can be revoked", async () => {
+      const orderId = unique("ORDER");
+      const snapshotId = unique("snapshot");
+      const entitlement = { orderId, snapshotId, productId: "full-report", grantedAt: new Date() };
+
+      assert.deepEqual(await orders.grantEntitlement(entitlement), { created: true });
+      assert.deepEqual(await orders.grantEntitlement(entitlement), { created: false });
+      assert.equal((await orders.findEntitlement(snapshotId, orderId)).orderId, orderId);
+      assert.equal(await orders.findEntitlement(unique("snapshot"), orderId), null);
+
+      assert.deepEqual(await orders.revokeEntitlement(orderId, "refunded"), { revoked: true });
+      assert.deepEqual(await orders.revokeEntitlement(orderId, "refunded"), { revoked: false });
+      assert.equal(await orders.findEntitlement(snapshotId, orderId), null);
+    });
+
+    test("orders: lookup codes allow maxAttempts claims and are consumed once", async () => {
+      const email = `${unique("lookup")}@example.com`;
+      const now = new Date();
+      await orders.saveLookupCode(email, {
+        codeHash: "hash",
+        attempts: 0,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + 60 * 1000),
+      });
+
+      const claims = await Promise.all(Array.from({ length: 5 }, () => orders.claimLookupAttempt(email, 3)));
+      assert.equal(claims.filter(Boolean).length, 3);
+      assert.equal(claims.find(Boolean).codeHash, "hash");
+      assert.equal((await orders.getLookupCode(email)).attempts, 3);
+
+      assert.equal(await orders.consumeLookupCode(email, "other"), false);
+      assert.equal(await orders.consumeLookupCode(email, "hash"), true);
+      assert.equal(await orders.consumeLookupCode(email, "hash"), false);
+      assert.equal(await orders.getLookupCode(email), null);
+    });
+  });
+}
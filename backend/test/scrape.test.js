@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STORAGE_DRIVER = "memory";
+const { scrape } = await import("../scraper/scrape.js");
+const { browserPool } = await import("../scraper/browser.js");
+const { getRepositories } = await import("../repositories/index.js");
+
+const failedRun = async (username) =>
+  (await getRepositories().snapshots.listFailed()).find((run) => run.instagramUsername === username);
+
+test("a failed browser acquire is recorded on the snapshot", async (t) => {
+  t.mock.method(browserPool, "acquire", async () => {
+    throw new Error("Target page, context or browser has been closed");
+  });
+
+  await assert.rejects(scrape("no_browser"), /has been closed/);
+
+  const run = await failedRun("no_browser");
+  assert.ok(run, "failed run listed");
+  assert.equal(run.failure.reason, "browser_closed");
+  assert.equal(run.failure.screenshotUrl, null);
+});
+
+test("a failed newPage is recorded and the context released", async (t) => {
+  let released = 0;
+  t.mock.method(browserPool, "acquire", async () => ({
+    context: { newPage: async () => Promise.reject(new Error("newPage failed")) },
+    release: async () => {
+      released += 1;
+    },
+  }));
+
+  await assert.rejects(scrape("no_page"), /newPage failed/);
+
+  assert.ok(await failedRun("no_page"), "failed run listed");
+  assert.equal(released, 1);
+});
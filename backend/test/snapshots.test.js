@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MemorySnapshotRepository } from "../repositories/memory/snapshots.js";
+
+const hash = (char) => char.repeat(64);
+
+test("retainPaid keeps images linked only from a step's HTML", async () => {
+  const snapshots = new MemorySnapshotRepository();
+  await snapshots.saveImages(
+    ["a", "b", "c"].map((char) => ({ hash: hash(char), contentType: "image/png", data: Buffer.from(char) }))
+  );
+  const { snapshotId } = await snapshots.saveStep(
+    "someone",
+    "run-1",
+    "full-report",
+    `<div style="background-image: url(&quot;/api/images/${hash("a")}&quot;)"></div>`
+  );
+  await snapshots.saveResult("someone", "run-1", [{ username: "@x", image: `/api/images/${hash("b")}` }], []);
+
+  assert.equal(await snapshots.retainPaid(snapshotId), true);
+
+  const snapshot = await snapshots.get(snapshotId);
+  for (const char of ["a", "b"]) {
+    const image = snapshots.images.get(hash(char));
+    assert.ok(image.paidAt, `image ${char} retained`);
+    assert.ok(image.expiresAt >= snapshot.expiresAt, `image ${char} outlives the snapshot`);
+  }
+  assert.equal(snapshots.images.get(hash("c")).paidAt, undefined);
+});
+
+test("getLatestStepHtml only returns HTML captured in the requested locale", async () => {
+  const snapshots = new MemorySnapshotRepository();
+  await snapshots.saveStep("someone", "run-en", "results", "<p>en</p>", {}, "en");
+  await snapshots.saveStep("someone", "run-pt", "results", "<p>pt</p>", {}, "pt");
+  // Saved without a locale, like HTML stored before locales were recorded
+  await snapshots.saveStep("someone", "run-old", "landing", "<p>old</p>");
+
+  const en = await snapshots.getLatestStepHtml(["results", "landing"]);
+  assert.equal(en.results.html, "<p>en</p>");
+  assert.equal(en.landing.html, "<p>old</p>");
+
+  const pt = await snapshots.getLatestStepHtml(["results", "landing"], "pt");
+  assert.deepEqual(Object.keys(pt), ["results"]);
+  assert.equal(pt.results.html, "<p>pt</p>");
+});
+
+test("unpaid images outlive both the snapshot and the step HTML linking to them", async (t) => {
+  const names = ["SNAPSHOT_RETENTION_MINUTES", "HTML_RETENTION_MINUTES"];
+  const saved = Object.fromEntries(names.map((name) => [name, process.env[name]]));
+  t.after(() => {
+    for (const name of names) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+  process.env.SNAPSHOT_RETENTION_MINUTES = "10";
+  process.env.HTML_RETENTION_MINUTES = "120";
+
+  const snapshots = new MemorySnapshotRepository();
+  await snapshots.saveImages([{ hash: hash("d"), contentType: "image/png", data: Buffer.from("d") }]);
+  await snapshots.saveStep("someone", "run-1", "results", `<img src="/api/images/${hash("d")}">`);
+
+  const html = snapshots.html.values().next().value;
+  assert.ok(snapshots.images.get(hash("d")).expiresAt >= html.expiresAt - 1000);
+});
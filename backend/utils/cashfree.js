@@ -0,0 +1,220 @@
+/**
+ * Cashfree helpers: webhook signatures, payload parsing and order lookups
+ */
+
+import crypto from "crypto";
+
+// Read lazily: server.js loads .env after static imports are evaluated
+const getCashfreeConfig = () => ({
+  apiUrl: process.env.CASHFREE_API_URL,
+  clientId: process.env.CASHFREE_API_KEY,
+  clientSecret: process.env.CASHFREE_SECRET_KEY,
+  apiVersion: "2023-08-01",
+});
+
+// Webhook payment_status -> order status
+const PAYMENT_STATUS_TO_ORDER_STATUS = {
+  SUCCESS: "paid",
+  FAILED: "failed",
+  USER_DROPPED: "user_dropped",
+};
+
+// refund_status -> refund status on the order (ONHOLD is still in progress)
+const REFUND_STATUS_MAP = {
+  SUCCESS: "success",
+  PENDING: "pending",
+  ONHOLD: "pending",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+};
+
+/**
+ * Cashfree signs base64(HMAC-SHA256(timestamp + rawBody, secretKey))
+ */
+export function signWebhookPayload(rawBody, timestamp, secretKey) {
+  return crypto
+    .createHmac("sha256", secretKey)
+    .update(`${timestamp}${rawBody}`)
+    .digest("base64");
+}
+
+/**
+ * Check the x-webhook-signature header against the raw request body
+ */
+export function verifyWebhookSignature(rawBody, timestamp, signature, secretKey) {
+  if (!rawBody || !timestamp || !signature || !secretKey) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, timestamp, secretKey));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Turn a payment webhook into the event we record on the order.
+ * Returns null for webhook types we don't act on.
+ */
+export function parsePaymentWebhook(payload, rawBody, idempotencyKey = null) {
+  const payment = payload?.data?.payment;
+  const order = payload?.data?.order;
+  const status = PAYMENT_STATUS_TO_ORDER_STATUS[payment?.payment_status];
+
+  if (!order?.order_id || !status) {
+    return null;
+  }
+
+  const paymentId = payment.cf_payment_id ? String(payment.cf_payment_id) : null;
+  // A payment reaches each status once, so the same outcome seen again (a
+  // redelivered webhook or the return-page lookup) gets the same event ID
+  const eventId = paymentId
+    ? `${paymentId}:${status}`
+    : idempotencyKey ||
+      crypto.createHash("sha256").update(rawBody || JSON.stringify(payload)).digest("hex");
+
+  return {
+    eventId,
+    source: "webhook",
+    type: payload.type,
+    orderId: order.order_id,
+    status,
+    paymentId,
+    amount: Number(payment.payment_amount ?? order.order_amount),
+    currency: payment.payment_currency || order.order_currency,
+    message: payment.payment_message || null,
+    eventTime: payload.event_time || null,
+  };
+}
+
+/**
+ * Turn a refund webhook (or refunds API response) into a refund event.
+ * Returns null for anything that isn't a refund.
+ */
+export function parseRefundWebhook(payload) {
+  const refund = payload?.data?.refund;
+  const status = REFUND_STATUS_MAP[refund?.refund_status];
+  if (!refund?.order_id || !refund.refund_id || !status) {
+    return null;
+  }
+
+  return toRefundEvent(refund, status, payload.type, "webhook", payload.event_time);
+}
+
+const toRefundEvent = (refund, status, type, source, eventTime = null) => ({
+  // Each refund reaches each status once
+  eventId: `${refund.cf_refund_id || refund.refund_id}:refund:${status}`,
+  source,
+  type,
+  orderId: refund.order_id,
+  refundId: refund.refund_id,
+  cfRefundId: refund.cf_refund_id ? String(refund.cf_refund_id) : null,
+  status,
+  amount: Number(refund.refund_amount),
+  currency: refund.refund_currency || null,
+  message: refund.refund_note || refund.status_description || null,
+  eventTime: eventTime || new Date().toISOString(),
+});
+
+/**
+ * Ask Cashfree to refund (part of) an order.
+ * Resolves to the refund event for the status Cashfree answered with.
+ */
+export async function createRefund({ orderId, refundId, amount, note }) {
+  const refund = await cashfreeRequest(`/orders/${encodeURIComponent(orderId)}/refunds`, {
+    method: "POST",
+    body: { refund_id: refundId, refund_amount: amount, refund_note: note },
+  });
+  const status = REFUND_STATUS_MAP[refund.refund_status] || "pending";
+  return toRefundEvent({ order_id: orderId, ...refund }, status, "REFUND_CREATED", "admin");
+}
+
+/**
+ * Look up a refund Cashfree may already have.
+ * Resolves to its refund event, or null when Cashfree has no refund with that ID.
+ */
+export async function fetchRefund({ orderId, refundId }) {
+  let refund;
+  try {
+    refund = await cashfreeRequest(
+      `/orders/${encodeURIComponent(orderId)}/refunds/${encodeURIComponent(refundId)}`
+    );
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  const status = REFUND_STATUS_MAP[refund.refund_status] || "pending";
+  return toRefundEvent({ order_id: orderId, ...refund }, status, "REFUND_STATUS_LOOKUP", "admin");
+}
+
+async function cashfreeRequest(apiPath, { method = "GET", body } = {}) {
+  const config = getCashfreeConfig();
+  const response = await fetch(`${config.apiUrl}${apiPath}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-version": config.apiVersion,
+      "x-client-id": config.clientId,
+      "x-client-secret": config.clientSecret,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    const error = new Error(`Cashfree ${method} ${apiPath} returned ${response.status}: ${text.substring(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Ask Cashfree where an order stands.
+ * Resolves to { status, event } - status is "paid" | "pending" | "failed" |
+ * "user_dropped", event is the payment event to apply (null while pending).
+ */
+export async function fetchOrderPaymentStatus(orderId) {
+  const order = await cashfreeRequest(`/orders/${encodeURIComponent(orderId)}`);
+
+  // Failed attempts leave the order ACTIVE, so look at the latest payment too
+  const payments = await cashfreeRequest(`/orders/${encodeURIComponent(orderId)}/payments`);
+  const list = Array.isArray(payments) ? payments : [];
+  const latest = [...list].sort(
+    (a, b) => new Date(b.payment_time || 0) - new Date(a.payment_time || 0)
+  )[0];
+  const payment =
+    order.order_status === "PAID"
+      ? list.find((p) => p.payment_status === "SUCCESS") || latest
+      : latest;
+
+  const event = payment
+    ? parsePaymentWebhook({
+        type: "ORDER_STATUS_LOOKUP",
+        data: { order, payment },
+        event_time: new Date().toISOString(),
+      })
+    : null;
+  if (event) {
+    return { status: event.status, event: { ...event, source: "return" } };
+  }
+
+  if (order.order_status === "EXPIRED" || order.order_status === "TERMINATED") {
+    return {
+      status: "failed",
+      event: {
+        eventId: `${orderId}:${order.order_status}`,
+        source: "return",
+        type: `ORDER_${order.order_status}`,
+        orderId,
+        status: "failed",
+        paymentId: null,
+        amount: Number(order.order_amount),
+        currency: order.order_currency,
+        message: `Order ${order.order_status.toLowerCase()}`,
+        eventTime: new Date().toISOString(),
+      },
+    };
+  }
+  return { status: "pending", event: null };
+}
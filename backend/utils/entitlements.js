@@ -0,0 +1,87 @@
+/**
+ * Entitlements: proof that a paid order unlocked a report snapshot.
+ * One entitlement per order, granted when the order becomes `paid` and
+ * revoked (kept, with revokedAt) when it is fully refunded.
+ */
+
+import { getRepositories } from "../repositories/index.js";
+
+// Steps that make up the paid report: their HTML and parsed data are only
+// served through /api/reports, to the holder of an entitled order
+export const PAID_STEPS = ["full-report"];
+
+export const isPaidStep = (stepName) => PAID_STEPS.includes(stepName);
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+/**
+ * Grant the entitlement for a paid order (safe to call more than once)
+ */
+export async function grantEntitlement(order) {
+  if (!order?.snapshotId) {
+    log(`⚠️ Order ${order?.orderId} has no snapshot, nothing to unlock`);
+    return null;
+  }
+
+  try {
+    const { orders, snapshots } = getRepositories();
+    const entitlement = {
+      orderId: order.orderId,
+      snapshotId: order.snapshotId,
+      username: order.username,
+      productId: order.productId,
+      email: order.email,
+      grantedAt: new Date(),
+    };
+
+    const result = await orders.grantEntitlement(entitlement);
+    if (!result) {
+      return null;
+    }
+
+    if (result.created) {
+      log(`🔓 Entitlement granted: order ${order.orderId} → snapshot ${order.snapshotId}`);
+    }
+    // A paid report has to outlive the normal snapshot retention
+    await snapshots.retainPaid(order.snapshotId);
+    return entitlement;
+  } catch (err) {
+    log(`❌ Error granting entitlement: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Entitlement that lets orderId open snapshotId, or null
+ */
+export async function findEntitlement(snapshotId, orderId) {
+  try {
+    return await getRepositories().orders.findEntitlement(snapshotId, orderId);
+  } catch (err) {
+    log(`❌ Error getting entitlement: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Revoke an order's entitlement
+ */
+export async function revokeEntitlement(orderId, reason) {
+  try {
+    const result = await getRepositories().orders.revokeEntitlement(orderId, reason);
+    if (!result) {
+      return false;
+    }
+
+    if (result.revoked) {
+      log(`🔒 Entitlement revoked for order ${orderId} (${reason})`);
+    }
+    return true;
+  } catch (err) {
+    log(`❌ Error revoking entitlement: ${err.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Image store: captured pages inline profile pictures and story thumbnails
+ * as base64 data: URLs. They are moved out at capture time into one
+ * document per distinct image, keyed by the SHA-256 of its bytes, and the
+ * stored HTML, parsed data and cards link to GET /api/images/:hash instead.
+ */
+
+import crypto from "crypto";
+import { getRepositories } from "../repositories/index.js";
+import { storedImageUrl } from "../../shared/parsers/index.js";
+
+// SVGs are icons and stay inline, as do small images (parsers tell icons
+// from profile pictures by data: URL length)
+const INLINE_IMAGE_REGEX = /data:(image\/(?!svg)[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)/gi;
+const MIN_EXTRACTED_URL_LENGTH = 500;
+
+export const IMAGE_HASH_REGEX = /^[a-f0-9]{64}$/;
+
+const hashImage = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+/**
+ * Replace large inline images in text (HTML or a single URL) with image
+ * store links. Returns { text, images: [{ hash, contentType, data }] }.
+ */
+export function extractInlineImages(text) {
+  const images = new Map();
+  const rewritten = text.replace(INLINE_IMAGE_REGEX, (url, contentType, base64) => {
+    if (url.length < MIN_EXTRACTED_URL_LENGTH) return url;
+    const data = Buffer.from(base64, "base64");
+    const hash = hashImage(data);
+    images.set(hash, { hash, contentType: contentType.toLowerCase(), data });
+    return storedImageUrl(hash);
+  });
+  return { text: rewritten, images: [...images.values()] };
+}
+
+/**
+ * Move text's large inline images to the image store. Returns the rewritten
+ * text, or the original when the images could not be stored.
+ */
+export async function storeInlineImages(text) {
+  if (!text || !text.includes("data:image")) return text;
+  const { text: rewritten, images } = extractInlineImages(text);
+  return (await getRepositories().snapshots.saveImages(images)) ? rewritten : text;
+}
+
+/**
+ * Store one image (e.g. a screenshot). Returns its image store link, or
+ * null when it could not be stored.
+ */
+export async function storeImage(data, contentType) {
+  const hash = hashImage(data);
+  const saved = await getRepositories().snapshots.saveImages([{ hash, contentType, data }]);
+  return saved ? storedImageUrl(hash) : null;
+}
+
+/**
+ * Stored image by hash as { contentType, data: Buffer }, or null
+ */
+export async function getImage(hash) {
+  if (!IMAGE_HASH_REGEX.test(hash)) return null;
+  return getRepositories().snapshots.getImage(hash);
+}
@@ -0,0 +1,179 @@
+/**
+ * Scrape jobs
+ * A job wraps one scrape so clients can start it, disconnect, and come back
+ * for its status or event stream by ID. Job state is persisted through the
+ * job repository;
+ * live jobs are also kept in memory so SSE listeners get events immediately.
+ */
+
+import { EventEmitter } from "events";
+import { ObjectId } from "mongodb";
+import { scrapeQueue, createQueueFullError, scrapeKey } from "./queue.js";
+import { getRepositories } from "../repositories/index.js";
+import { DEFAULT_LOCALE } from "../../shared/parsers/index.js";
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+// Keep finished jobs in memory a little while so reconnects work without MongoDB
+const FINISHED_JOB_MEMORY_MS = 10 * 60 * 1000;
+
+/**
+ * Public view of a job (what GET /api/jobs/:id returns)
+ */
+export const serializeJob = (job) => ({
+  jobId: job.jobId,
+  username: job.username,
+  locale: job.locale || DEFAULT_LOCALE,
+  status: job.status,
+  snapshotId: job.snapshotId || null,
+  runId: job.runId || null,
+  steps: job.steps || [],
+  cards: job.cards || [],
+  error: job.error || null,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  completedAt: job.completedAt || null,
+});
+
+class JobManager {
+  constructor() {
+    this.jobs = new Map(); // jobId -> job
+    this.activeByUsername = new Map(); // scrapeKey(username, locale) -> jobId
+    this.writes = new Map(); // jobId -> last pending repository write
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Start a scrape job for username in a funnel locale, or return the job
+   * already running for both. Resolves to { job, reused }. Throws QUEUE_FULL
+   * errors from the queue.
+   */
+  async create(username, scrapeFunction, { locale = DEFAULT_LOCALE } = {}) {
+    const key = scrapeKey(username, locale);
+    const activeId = this.activeByUsername.get(key);
+    if (activeId && this.jobs.has(activeId)) {
+      log(`♻️  Reusing running job ${activeId} for ${key}`);
+      return { job: this.jobs.get(activeId), reused: true };
+    }
+
+    if (!scrapeQueue.canAccept(key)) {
+      throw createQueueFullError(scrapeQueue.estimateRetryAfter());
+    }
+
+    const now = new Date();
+    const job = {
+      jobId: new ObjectId().toString(),
+      username,
+      locale,
+      status: "queued",
+      steps: [],
+      cards: [],
+      snapshotId: null,
+      runId: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.jobs.set(job.jobId, job);
+    this.activeByUsername.set(key, job.jobId);
+    // Insert before the scrape can start so no status update lands on a missing document
+    await getRepositories().jobs.create(job);
+    log(`🆕 Job ${job.jobId} created for ${key}`);
+
+    // No caller signal: a job outlives its clients, who can reconnect by ID
+    const resultPromise = scrapeQueue.enqueue(key, async (queueKey, signal) => {
+      this.update(job, { status: "running", startedAt: new Date() });
+      return scrapeFunction(username, (step, snapshotId) => this.addStep(job, step, snapshotId), { locale, signal });
+    });
+
+    resultPromise
+      .then((result) => {
+        this.update(job, {
+          status: "completed",
+          snapshotId: result.snapshotId || null,
+          runId: result.runId || null,
+          steps: result.steps || job.steps,
+          cards: result.cards || [],
+          completedAt: new Date(),
+        });
+        this.emit(job, "done", { ...result, jobId: job.jobId });
+      })
+      .catch((err) => {
+        const errorMessage = err?.message || "Unknown error occurred";
+        this.update(job, { status: "failed", error: errorMessage, completedAt: new Date() });
+        this.emit(job, "error", { error: errorMessage, jobId: job.jobId });
+      })
+      .finally(() => {
+        this.activeByUsername.delete(key);
+        setTimeout(() => {
+          this.jobs.delete(job.jobId);
+          this.writes.delete(job.jobId);
+        }, FINISHED_JOB_MEMORY_MS).unref();
+      });
+
+    return { job, reused: false };
+  }
+
+  addStep(job, step, snapshotId = null) {
+    job.steps = [...job.steps.filter((s) => s.name !== step.name), step];
+    job.snapshotId = job.snapshotId || snapshotId;
+    job.updatedAt = new Date();
+    // The whole (deduplicated) list, so a re-captured step replaces its stored entry
+    this.persist(job, { snapshotId: job.snapshotId, steps: job.steps });
+    this.emit(job, "snapshot", step);
+  }
+
+  update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date() });
+    this.persist(job, fields);
+    if (fields.status) {
+      this.emit(job, "status", { status: fields.status, jobId: job.jobId });
+    }
+  }
+
+  /**
+   * Store changed job fields. Writes for one job run in order; a failed
+   * write is logged and the live job stays as it is.
+   */
+  persist(job, fields) {
+    const write = (this.writes.get(job.jobId) || Promise.resolve())
+      .then(() => getRepositories().jobs.update(job.jobId, fields))
+      .catch((err) => log(`❌ Error storing job ${job.jobId}: ${err.message}`));
+    this.writes.set(job.jobId, write);
+    return write;
+  }
+
+  emit(job, event, data) {
+    this.events.emit(job.jobId, event, data);
+  }
+
+  /**
+   * Live (in-memory) job, if this process is running or recently ran it
+   */
+  getLive(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Job from memory, falling back to the job repository
+   */
+  async get(jobId) {
+    return this.getLive(jobId) || (await getRepositories().jobs.get(jobId));
+  }
+
+  /**
+   * Listen to a job's events; returns an unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+}
+
+// Export singleton instance
+export const jobManager = new JobManager();
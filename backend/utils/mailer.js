@@ -0,0 +1,80 @@
+/**
+ * Outgoing email with pluggable transports.
+ * MAIL_TRANSPORT picks a built-in one: "console" logs messages, "file"
+ * writes each message to MAIL_OUTBOX_DIR. Production transports (SMTP, an
+ * email API) plug in with mailer.registerTransport(). "console" is the
+ * default outside production only: mails carry one-time codes, which must
+ * not end up in production logs, so production needs MAIL_TRANSPORT set.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+// Read lazily: server.js loads .env after static imports are evaluated
+const getMailConfig = () => ({
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? null : "console"),
+  from: process.env.MAIL_FROM || "no-reply@localhost",
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox"),
+});
+
+const consoleTransport = async (message) => {
+  log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+};
+
+const fileTransport = async (message, config) => {
+  await fs.mkdir(config.outboxDir, { recursive: true });
+  const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, "_");
+  const file = path.join(config.outboxDir, `${Date.now()}-${safeTo}.json`);
+  await fs.writeFile(file, JSON.stringify(message, null, 2));
+  log(`📧 Mail to ${message.to} written to ${file}`);
+};
+
+class Mailer {
+  constructor() {
+    this.transports = new Map([
+      ["console", consoleTransport],
+      ["file", fileTransport],
+    ]);
+  }
+
+  /**
+   * Add a transport: async (message, config) => void
+   */
+  registerTransport(name, transport) {
+    this.transports.set(name, transport);
+  }
+
+  /**
+   * Throw when no transport is configured (server.js checks at startup)
+   */
+  checkConfig() {
+    if (!getMailConfig().transport) {
+      throw new Error("❌ MAIL_TRANSPORT environment variable is required in production, so lookup codes are mailed instead of logged.");
+    }
+  }
+
+  /**
+   * Send { to, subject, text }. Throws if the transport is unknown or fails.
+   */
+  async send({ to, subject, text }) {
+    const config = getMailConfig();
+    const transport = this.transports.get(config.transport);
+    if (!transport) {
+      throw new Error(config.transport ? `Unknown MAIL_TRANSPORT "${config.transport}"` : "MAIL_TRANSPORT is not set");
+    }
+
+    const message = { from: config.from, to, subject, text, sentAt: new Date().toISOString() };
+    await transport(message, config);
+  }
+}
+
+// Export singleton instance
+export const mailer = new Mailer();
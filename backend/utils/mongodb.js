@@ -1,4 +1,11 @@
-import { MongoClient, ObjectId } from "mongodb";
+/**
+ * MongoDB connection, indexes and retention. Data access goes through the
+ * repositories (backend/repositories); their MongoDB implementations use
+ * connectDB() and the collection names below.
+ */
+
+import { MongoClient } from "mongodb";
+import { getRetentionPolicy, getRetentionMs, samePolicy } from "../config/retention.js";
 
 // Validate required environment variables (will be checked when functions are called)
 const getMongoDBUri = () => {
@@ -17,7 +24,17 @@ const getDBName = () => {
   return name;
 };
 
-const SNAPSHOTS_COLLECTION = "snapshots";
+export const SNAPSHOTS_COLLECTION = "snapshots";
+// Step HTML, gzipped, one document per snapshot step (kept out of the snapshot document)
+export const SNAPSHOT_HTML_COLLECTION = "snapshot_html";
+export const JOBS_COLLECTION = "scrape_jobs";
+export const ORDERS_COLLECTION = "user_orders";
+export const ENTITLEMENTS_COLLECTION = "entitlements";
+export const LOOKUP_CODES_COLLECTION = "order_lookup_codes";
+export const IMAGES_COLLECTION = "images";
+// Server-side settings, e.g. the retention policy last applied
+const SETTINGS_COLLECTION = "settings";
+const RETENTION_SETTINGS_ID = "retention";
 
 let dbClient = null;
 let db = null;
@@ -49,8 +66,14 @@ export async function connectDB() {
       
       db = dbClient.db(DB_NAME);
       
-      // Setup TTL index for 10-minute auto-deletion
-      await setupTTLIndex();
+      await setupSnapshotIndexes();
+      await setupSnapshotHtmlIndexes();
+      await setupJobIndexes();
+      await setupOrderIndexes();
+      await setupEntitlementIndexes();
+      await setupLookupCodeIndexes();
+      // Expiry of snapshots, their HTML and images, and jobs
+      await setupRetention();
       
       log('✅ MongoDB connected successfully');
     }
@@ -70,210 +93,221 @@ export async function connectDB() {
   }
 }
 
+// Collections whose documents expire at `expiresAt` (see config/retention.js),
+// with how expiresAt follows from the policy and the createdAt TTL index
+// they had before
+const paidOr = (ms, otherwise) => ({
+  $cond: [{ $ifNull: ["$paidAt", false] }, { $add: ["$paidAt", ms.paid] }, otherwise],
+});
+const EXPIRING_COLLECTIONS = [
+  {
+    name: SNAPSHOTS_COLLECTION,
+    legacyIndex: "snapshots_ttl_index",
+    expiry: (ms) => paidOr(ms, { $add: ["$createdAt", ms.snapshot] }),
+  },
+  {
+    name: SNAPSHOT_HTML_COLLECTION,
+    legacyIndex: "snapshot_html_ttl_index",
+    expiry: (ms) => paidOr(ms, { $add: ["$createdAt", ms.html] }),
+  },
+  {
+    name: JOBS_COLLECTION,
+    legacyIndex: "scrape_jobs_ttl_index",
+    expiry: (ms) => ({ $add: ["$createdAt", ms.snapshot] }),
+  },
+  {
+    // Shared by snapshots: kept for the longest-lived one linking to it
+    name: IMAGES_COLLECTION,
+    legacyIndex: "images_ttl_index",
+    expiry: (ms) => ({ $max: [{ $add: ["$lastSeenAt", ms.image] }, paidOr(ms, null)] }),
+  },
+];
+
+const describePolicy = (policy) =>
+  policy
+    ? `snapshots ${policy.snapshotMinutes}m, HTML ${policy.htmlMinutes}m, paid ${policy.paidDays}d`
+    : "none";
+
 /**
- * Setup TTL index to auto-delete snapshots after 10 minutes
+ * Apply the retention policy: expiresAt TTL indexes on every expiring
+ * collection, stored expiry dates recomputed when the policy differs from
+ * the one last applied (kept in the settings collection), then the old
+ * createdAt TTL indexes dropped - only once every document has expiresAt.
  */
-async function setupTTLIndex() {
+async function setupRetention() {
+  const policy = getRetentionPolicy();
   try {
-    const database = await connectDB();
-    if (!database) return;
-    
-    const collection = database.collection(SNAPSHOTS_COLLECTION);
-    
-    // Create TTL index on createdAt field (10 minutes = 600 seconds)
-    await collection.createIndex(
-      { createdAt: 1 },
-      { 
-        expireAfterSeconds: 600, // 10 minutes
-        name: "snapshots_ttl_index"
+    for (const { name } of EXPIRING_COLLECTIONS) {
+      await db.collection(name).createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0, name: `${name}_expiry_index` }
+      );
+    }
+
+    const settings = db.collection(SETTINGS_COLLECTION);
+    const applied = await settings.findOne({ _id: RETENTION_SETTINGS_ID });
+    if (!samePolicy(applied?.policy, policy)) {
+      log(`🗄️  Retention policy changed (${describePolicy(applied?.policy)} → ${describePolicy(policy)}), updating expiry dates...`);
+      const ms = getRetentionMs(policy);
+      for (const { name, expiry } of EXPIRING_COLLECTIONS) {
+        const result = await db.collection(name).updateMany({}, [{ $set: { expiresAt: expiry(ms) } }]);
+        log(`🗄️  ${name}: ${result.modifiedCount} expiry dates updated`);
       }
+      await settings.updateOne(
+        { _id: RETENTION_SETTINGS_ID },
+        { $set: { policy, appliedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    for (const { name, legacyIndex } of EXPIRING_COLLECTIONS) {
+      // Until every document has expiresAt, the old index is what deletes the rest
+      const unexpiring = await db.collection(name).countDocuments({ expiresAt: { $exists: false } });
+      if (unexpiring > 0) {
+        log(`🗄️  Keeping old TTL index ${legacyIndex}: ${unexpiring} ${name} documents have no expiresAt yet`);
+        continue;
+      }
+      try {
+        await db.collection(name).dropIndex(legacyIndex);
+        log(`🗄️  Dropped old TTL index ${legacyIndex}`);
+      } catch (dropErr) {
+        if (dropErr.code !== 26 && dropErr.code !== 27) { // 26 = NamespaceNotFound, 27 = IndexNotFound
+          throw dropErr;
+        }
+      }
+    }
+
+    log(`✅ Retention policy applied (${describePolicy(policy)})`);
+  } catch (err) {
+    log('⚠️  Error applying retention policy:', err.message);
+  }
+}
+
+/**
+ * Setup indexes for snapshots (failed runs are listed by reason, newest first)
+ */
+async function setupSnapshotIndexes() {
+  try {
+    await db.collection(SNAPSHOTS_COLLECTION).createIndex(
+      { status: 1, "failure.reason": 1, failedAt: -1 },
+      { name: "snapshots_failures" }
     );
-    
-    log('✅ TTL index created for snapshots (10 minutes)');
   } catch (err) {
-    // Index might already exist, that's okay
     if (err.code !== 85) { // 85 = IndexOptionsConflict
-      log('⚠️  Error creating TTL index:', err.message);
+      log('⚠️  Error creating snapshot indexes:', err.message);
     }
   }
 }
 
 /**
- * Save snapshot step to MongoDB
- * Returns the snapshot document ID
+ * Setup indexes for stored step HTML
  */
-export async function saveSnapshotStep(instagramUsername, runId, stepName, html, meta = {}) {
+async function setupSnapshotHtmlIndexes() {
   try {
-    const database = await connectDB();
-    if (!database) {
-      log('⚠️  MongoDB not available, cannot save snapshot');
-      return null;
-    }
+    const collection = db.collection(SNAPSHOT_HTML_COLLECTION);
 
-    const collection = database.collection(SNAPSHOTS_COLLECTION);
-    
-    const stepData = {
-      name: stepName,
-      html: html,
-      capturedAt: new Date(),
-      meta: { ...meta, capturedAt: new Date().toISOString() }
-    };
-
-    // Upsert: create document if doesn't exist, or update if it does
-    const result = await collection.updateOne(
-      { 
-        instagramUsername: instagramUsername,
-        runId: runId 
-      },
-      {
-        $setOnInsert: {
-          instagramUsername: instagramUsername,
-          runId: runId,
-          createdAt: new Date(), // This is used for TTL deletion
-          status: "processing"
-        },
-        $push: {
-          steps: stepData
-        }
-      },
-      { upsert: true }
+    await collection.createIndex(
+      { snapshotId: 1, step: 1 },
+      { unique: true, name: "snapshot_html_snapshot_step" }
+    );
+    await collection.createIndex(
+      { step: 1, createdAt: -1 },
+      { name: "snapshot_html_step_recent" }
     );
-
-    // Get the document ID
-    let snapshotId = null;
-    if (result.upsertedId) {
-      snapshotId = result.upsertedId.toString();
-    } else {
-      // Document already exists, fetch it to get ID
-      const doc = await collection.findOne({
-        instagramUsername: instagramUsername,
-        runId: runId
-      });
-      snapshotId = doc?._id?.toString() || null;
-    }
-
-    log(`📝 Snapshot step saved: ${instagramUsername}/${runId}/${stepName}`);
-    return { stepData, snapshotId };
   } catch (err) {
-    log(`❌ Error saving snapshot step: ${err.message}`);
-    return null;
+    if (err.code !== 85) { // 85 = IndexOptionsConflict
+      log('⚠️  Error creating snapshot HTML indexes:', err.message);
+    }
   }
 }
 
 /**
- * Save final snapshot result with cards
+ * Setup indexes for scrape jobs.
+ * Jobs only point at snapshots, so they expire like them.
  */
-export async function saveSnapshotResult(instagramUsername, runId, cards, steps) {
+async function setupJobIndexes() {
   try {
-    const database = await connectDB();
-    if (!database) {
-      log('⚠️  MongoDB not available, cannot save snapshot result');
-      return null;
-    }
+    const collection = db.collection(JOBS_COLLECTION);
 
-    const collection = database.collection(SNAPSHOTS_COLLECTION);
-    
-    await collection.updateOne(
-      { 
-        instagramUsername: instagramUsername,
-        runId: runId 
-      },
-      {
-        $set: {
-          cards: cards,
-          status: "completed",
-          completedAt: new Date()
-        }
-      }
+    await collection.createIndex(
+      { jobId: 1 },
+      { unique: true, name: "scrape_jobs_job_id" }
     );
-
-    log(`✅ Snapshot result saved: ${instagramUsername}/${runId} with ${cards.length} cards`);
-    return true;
   } catch (err) {
-    log(`❌ Error saving snapshot result: ${err.message}`);
-    return false;
+    if (err.code !== 85) { // 85 = IndexOptionsConflict
+      log('⚠️  Error creating job indexes:', err.message);
+    }
   }
 }
 
 /**
- * Get snapshot by ID and step name
+ * Setup indexes for orders, looked up by orderId and by access token hash.
+ * Customer details share the collection without an orderId.
  */
-export async function getSnapshotStep(snapshotId, stepName) {
+async function setupOrderIndexes() {
   try {
-    const database = await connectDB();
-    if (!database) {
-      return null;
-    }
-
-    const collection = database.collection(SNAPSHOTS_COLLECTION);
-    
-    const snapshot = await collection.findOne({
-      _id: new ObjectId(snapshotId)
-    });
+    const collection = db.collection(ORDERS_COLLECTION);
 
-    if (!snapshot) {
-      return null;
-    }
-
-    const step = snapshot.steps?.find(s => s.name === stepName);
-    return step ? step.html : null;
+    await collection.createIndex(
+      { orderId: 1 },
+      { unique: true, partialFilterExpression: { orderId: { $type: "string" } }, name: "user_orders_order_id" }
+    );
+    await collection.createIndex(
+      { accessTokenHash: 1 },
+      { sparse: true, name: "user_orders_access_token_hash" }
+    );
+    await collection.createIndex(
+      { accessTokenHashes: 1 },
+      { sparse: true, name: "user_orders_access_token_hashes" }
+    );
   } catch (err) {
-    log(`❌ Error getting snapshot step: ${err.message}`);
-    return null;
+    if (err.code !== 85) { // 85 = IndexOptionsConflict
+      log('⚠️  Error creating order indexes:', err.message);
+    }
   }
 }
 
 /**
- * Get snapshot by username and runId
+ * Setup indexes for entitlements (one per paid order)
  */
-export async function getSnapshotByRunId(instagramUsername, runId) {
+async function setupEntitlementIndexes() {
   try {
-    const database = await connectDB();
-    if (!database) {
-      return null;
-    }
+    const collection = db.collection(ENTITLEMENTS_COLLECTION);
 
-    const collection = database.collection(SNAPSHOTS_COLLECTION);
-    
-    const snapshot = await collection.findOne({
-      instagramUsername: instagramUsername,
-      runId: runId,
-      status: "completed"
-    });
-
-    return snapshot;
+    await collection.createIndex(
+      { orderId: 1 },
+      { unique: true, name: "entitlements_order_id" }
+    );
+    await collection.createIndex(
+      { snapshotId: 1 },
+      { name: "entitlements_snapshot_id" }
+    );
   } catch (err) {
-    log(`❌ Error getting snapshot: ${err.message}`);
-    return null;
+    if (err.code !== 85) { // 85 = IndexOptionsConflict
+      log('⚠️  Error creating entitlement indexes:', err.message);
+    }
   }
 }
 
 /**
- * Check if recent snapshot exists (cache check)
+ * Setup indexes for order lookup codes (deleted once expiresAt passes)
  */
-export async function getRecentSnapshot(instagramUsername, maxAgeMinutes = 60) {
+async function setupLookupCodeIndexes() {
   try {
-    const database = await connectDB();
-    if (!database) {
-      return null;
-    }
+    const collection = db.collection(LOOKUP_CODES_COLLECTION);
 
-    const collection = database.collection(SNAPSHOTS_COLLECTION);
-    
-    const cutoffTime = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
-    
-    const snapshot = await collection.findOne({
-      instagramUsername: instagramUsername,
-      createdAt: { $gte: cutoffTime },
-      status: "completed"
-    }, { 
-      sort: { createdAt: -1 } 
-    });
-
-    return snapshot;
+    await collection.createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0, name: "order_lookup_codes_ttl_index" }
+    );
+    await collection.createIndex(
+      { email: 1 },
+      { unique: true, name: "order_lookup_codes_email" }
+    );
   } catch (err) {
-    log(`❌ Error checking recent snapshot: ${err.message}`);
-    return null;
+    if (err.code !== 85) { // 85 = IndexOptionsConflict
+      log('⚠️  Error creating lookup code indexes:', err.message);
+    }
   }
 }
 
@@ -292,4 +326,3 @@ export async function closeDB() {
     log('⚠️  Error closing MongoDB connection:', err.message);
   }
 }
-
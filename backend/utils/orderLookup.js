@@ -0,0 +1,85 @@
+/**
+ * Order lookup by email: a one-time code is mailed to the address, and
+ * proving it gives access to that address's orders.
+ */
+
+import crypto from "crypto";
+import { getRepositories } from "../repositories/index.js";
+import { mailer } from "./mailer.js";
+import { getOrdersByEmail } from "./orders.js";
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_AFTER_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+const hashCode = (email, code) =>
+  crypto.createHash("sha256").update(`${email}:${code}`).digest("hex");
+
+/**
+ * Mail a lookup code if the address has orders.
+ * Resolves to "sent" | "no_orders" | "throttled" | "unavailable"; callers
+ * should not tell the customer which, so addresses can't be probed.
+ */
+export async function requestLookupCode(email) {
+  const repository = getRepositories().orders;
+  if (!(await repository.available())) {
+    return "unavailable";
+  }
+
+  const normalized = normalizeEmail(email);
+  const orders = await getOrdersByEmail(normalized);
+  if (orders.length === 0) {
+    return "no_orders";
+  }
+
+  const existing = await repository.getLookupCode(normalized);
+  if (existing && Date.now() - existing.createdAt.getTime() < RESEND_AFTER_MS) {
+    return "throttled";
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const now = new Date();
+  await repository.saveLookupCode(normalized, {
+    codeHash: hashCode(normalized, code),
+    attempts: 0,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + CODE_TTL_MS),
+  });
+
+  await mailer.send({
+    to: normalized,
+    subject: "Your order lookup code",
+    text: `Your code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.\n\nIf you didn't ask to look up your orders, you can ignore this email.`,
+  });
+  log(`🔑 Lookup code sent for ${orders.length} order(s)`);
+  return "sent";
+}
+
+/**
+ * Check a lookup code; a correct code is used up. Resolves to true/false.
+ */
+export async function verifyLookupCode(email, code) {
+  const repository = getRepositories().orders;
+  const normalized = normalizeEmail(email);
+  // Every guess is counted before it is compared, in one atomic step with the
+  // expiry and attempts check, so parallel guesses can't exceed MAX_ATTEMPTS
+  const entry = await repository.claimLookupAttempt(normalized, MAX_ATTEMPTS);
+  if (!entry) {
+    return false;
+  }
+
+  const expected = Buffer.from(entry.codeHash);
+  const received = Buffer.from(hashCode(normalized, String(code || "").trim()));
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return false;
+  }
+
+  // Delete-if-still-there so the same code can't be used twice concurrently
+  return repository.consumeLookupCode(normalized, entry.codeHash);
+}
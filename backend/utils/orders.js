@@ -0,0 +1,348 @@
+/**
+ * Orders (stored through the order repository) and their payment state machine:
+ *
+ *   created ──► paid ──► partially_refunded ──► refunded
+ *      │  ▲
+ *      ▼  │ (customer retries)
+ *   failed / user_dropped
+ *
+ * `paid` is final for payment events; only refunds move it on. Every event
+ * is recorded on the order's `events` history, even when it doesn't change
+ * the status. Becoming `paid` grants the entitlement to the order's
+ * snapshot and a full refund revokes it.
+ */
+
+import crypto from "crypto";
+import { getRepositories } from "../repositories/index.js";
+import { grantEntitlement, revokeEntitlement } from "./entitlements.js";
+
+export const ORDER_STATUS = {
+  CREATED: "created",
+  PAID: "paid",
+  FAILED: "failed",
+  USER_DROPPED: "user_dropped",
+  PARTIALLY_REFUNDED: "partially_refunded",
+  REFUNDED: "refunded",
+};
+
+// Statuses of an order that was paid for (and maybe refunded since)
+export const PAID_STATUSES = [
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.PARTIALLY_REFUNDED,
+  ORDER_STATUS.REFUNDED,
+];
+
+// Paid statuses that keep the report unlocked
+const UNLOCKED_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.PARTIALLY_REFUNDED];
+
+export const REFUND_STATUS = {
+  PENDING: "pending",
+  SUCCESS: "success",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+};
+
+const TRANSITIONS = {
+  [ORDER_STATUS.CREATED]: [ORDER_STATUS.PAID, ORDER_STATUS.FAILED, ORDER_STATUS.USER_DROPPED],
+  [ORDER_STATUS.FAILED]: [ORDER_STATUS.PAID, ORDER_STATUS.FAILED, ORDER_STATUS.USER_DROPPED],
+  [ORDER_STATUS.USER_DROPPED]: [ORDER_STATUS.PAID, ORDER_STATUS.FAILED, ORDER_STATUS.USER_DROPPED],
+  [ORDER_STATUS.PAID]: [],
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: [],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data || "");
+};
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Get order by orderId
+ */
+export async function getOrder(orderId) {
+  return getRepositories().orders.get(orderId);
+}
+
+/**
+ * Store customer details entered before checkout. Resolves to their ID,
+ * or null when order storage is unavailable; storage errors are thrown.
+ */
+export async function saveCustomerDetails({ email, fullName, phoneNumber }) {
+  return getRepositories().orders.saveCustomerDetails({
+    email,
+    fullName,
+    phoneNumber,
+    createdAt: new Date(),
+    status: "pending",
+  });
+}
+
+/**
+ * Store a new order (status created, empty event history). Resolves to
+ * false when order storage is unavailable; storage errors are thrown.
+ */
+export async function createOrder(order) {
+  return getRepositories().orders.create({
+    ...order,
+    status: ORDER_STATUS.CREATED,
+    events: [],
+    createdAt: new Date(),
+  });
+}
+
+/**
+ * New per-order access token. Only its hash is stored on the order;
+ * the token itself is handed to the customer once, by create-session.
+ */
+export function createOrderAccessToken() {
+  const token = crypto.randomBytes(24).toString("hex");
+  return { token, tokenHash: hashOrderAccessToken(token) };
+}
+
+export const hashOrderAccessToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Get the order an access token belongs to
+ */
+export async function getOrderByAccessToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  return getRepositories().orders.getByAccessTokenHash(hashOrderAccessToken(token));
+}
+
+// Tokens issued by email lookups kept per order; older ones stop working
+const MAX_ISSUED_ACCESS_TOKENS = 10;
+
+/**
+ * Issue another access token for an order (after the customer proved their email)
+ */
+export async function issueOrderAccessToken(orderId) {
+  const { token, tokenHash } = createOrderAccessToken();
+  const added = await getRepositories().orders.addAccessTokenHash(orderId, tokenHash, MAX_ISSUED_ACCESS_TOKENS);
+  return added ? token : null;
+}
+
+/**
+ * Orders placed with an email address (case-insensitive), newest first
+ */
+export async function getOrdersByEmail(email) {
+  return getRepositories().orders.findByEmail(email);
+}
+
+/**
+ * Customer-facing receipt for an order
+ */
+export const serializeOrder = (order) => ({
+  orderId: order.orderId,
+  status: order.status,
+  productId: order.productId || null,
+  quantity: order.quantity ?? null,
+  unitPrice: order.unitPrice ?? null,
+  discount: order.discount ?? null,
+  amount: order.amount ?? null,
+  currency: order.currency || null,
+  email: order.email,
+  fullName: order.fullName,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt || order.createdAt,
+  paidAt: order.paidAt || null,
+  failedAt: order.failedAt || null,
+  refundedAmount: order.refundedAmount || 0,
+  refunds: (order.refunds || []).map((refund) => ({
+    refundId: refund.refundId,
+    amount: refund.amount,
+    reason: refund.reason,
+    status: refund.status,
+    createdAt: refund.createdAt,
+    processedAt: refund.processedAt || null,
+  })),
+  report: order.snapshotId
+    ? {
+        snapshotId: order.snapshotId,
+        username: order.username || null,
+        url: `/api/reports/${order.snapshotId}`,
+        unlocked: UNLOCKED_STATUSES.includes(order.status),
+      }
+    : null,
+});
+
+/**
+ * Amount that can still be refunded: paid amount minus refunds that
+ * succeeded or may still succeed
+ */
+export const getRefundableAmount = (order) => {
+  const committed = (order.refunds || [])
+    .filter((refund) => refund.status === REFUND_STATUS.SUCCESS || refund.status === REFUND_STATUS.PENDING)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, Math.round(((order.amount || 0) - committed) * 100) / 100);
+};
+
+/**
+ * Order status implied by its successful refunds
+ */
+const statusAfterRefunds = (order, refunds) => {
+  const refundedAmount = refunds
+    .filter((refund) => refund.status === REFUND_STATUS.SUCCESS)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  if (refundedAmount <= 0) {
+    return { status: ORDER_STATUS.PAID, refundedAmount };
+  }
+  return {
+    status: refundedAmount >= order.amount ? ORDER_STATUS.REFUNDED : ORDER_STATUS.PARTIALLY_REFUNDED,
+    refundedAmount,
+  };
+};
+
+/**
+ * Record an event on an order once per event ID.
+ * `decide(order, now)` returns { set, note } for the update.
+ * Resolves to { result, order } where result is one of
+ * "applied" | "duplicate" | "not_found" | "unavailable".
+ */
+async function applyOrderEvent(orderId, event, decide) {
+  const { orders } = getRepositories();
+  if (!(await orders.available())) {
+    return { result: "unavailable", order: null };
+  }
+
+  // Optimistic concurrency: retry if another event changed the order under us
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const order = await orders.get(orderId);
+    if (!order) {
+      return { result: "not_found", order: null };
+    }
+    if (order.events?.some((e) => e.eventId === event.eventId)) {
+      return { result: "duplicate", order };
+    }
+
+    const now = new Date();
+    const { set, note } = decide(order, now);
+    const toStatus = set.status || order.status;
+    if (toStatus !== order.status) {
+      set[`${toStatus}At`] = now; // paidAt, failedAt, refundedAt, ...
+    }
+    set.updatedAt = now;
+
+    const historyEntry = {
+      ...event,
+      fromStatus: order.status,
+      toStatus,
+      note,
+      receivedAt: now,
+    };
+
+    if (await orders.updateIfUnchanged(order, set, historyEntry)) {
+      log(`💳 Order ${orderId}: ${order.status} → ${toStatus} (${event.type})${note ? ` - ${note}` : ""}`);
+      return { result: "applied", order: { ...order, ...set } };
+    }
+  }
+
+  // Lost every race: whichever writer won already recorded this or a newer event
+  return { result: "duplicate", order: await orders.get(orderId) };
+}
+
+/**
+ * Decide what a payment event does to an order
+ */
+const resolveTransition = (order, event) => {
+  if (!canTransition(order.status, event.status)) {
+    return { toStatus: order.status, note: `ignored: ${order.status} → ${event.status} not allowed` };
+  }
+  if (event.status === ORDER_STATUS.PAID && order.amount !== undefined && event.amount !== order.amount) {
+    return { toStatus: order.status, note: `ignored: paid ${event.amount}, order amount ${order.amount}` };
+  }
+  return { toStatus: event.status, note: null };
+};
+
+/**
+ * Apply a payment event (webhook or return-page lookup) to an order
+ */
+export async function applyPaymentEvent(orderId, event) {
+  const outcome = await applyOrderEvent(orderId, event, (order) => {
+    const { toStatus, note } = resolveTransition(order, event);
+    const set = { status: toStatus };
+    if (toStatus === ORDER_STATUS.PAID) {
+      set.paymentId = event.paymentId;
+    }
+    return { set, note };
+  });
+
+  // Also re-granted on duplicates, in case the first delivery failed after updating the order
+  if (outcome.order && UNLOCKED_STATUSES.includes(outcome.order.status)) {
+    await grantEntitlement(outcome.order);
+  }
+  return outcome;
+}
+
+/**
+ * Record a refund we asked Cashfree for (status pending until it reports back)
+ */
+export async function recordRefundRequest(orderId, refund) {
+  const event = {
+    eventId: `${refund.refundId}:requested`,
+    source: "admin",
+    type: "REFUND_REQUESTED",
+    orderId,
+    refundId: refund.refundId,
+    amount: refund.amount,
+    message: refund.reason,
+    eventTime: new Date().toISOString(),
+  };
+
+  return applyOrderEvent(orderId, event, (order, now) => ({
+    set: {
+      refunds: [
+        ...(order.refunds || []),
+        { ...refund, status: REFUND_STATUS.PENDING, createdAt: now, processedAt: null },
+      ],
+    },
+    note: null,
+  }));
+}
+
+/**
+ * Apply a refund status update (refund webhook or the refunds API response).
+ * Refunds started from the Cashfree dashboard are added when first seen.
+ */
+export async function applyRefundEvent(orderId, event) {
+  const outcome = await applyOrderEvent(orderId, event, (order, now) => {
+    if (!PAID_STATUSES.includes(order.status)) {
+      return { set: {}, note: `ignored: refund on ${order.status} order` };
+    }
+
+    const refunds = [...(order.refunds || [])];
+    const index = refunds.findIndex((refund) => refund.refundId === event.refundId);
+    const existing = index >= 0 ? refunds[index] : null;
+    if (existing && existing.status !== REFUND_STATUS.PENDING && event.status === REFUND_STATUS.PENDING) {
+      return { set: {}, note: `ignored: refund ${event.refundId} already ${existing.status}` };
+    }
+
+    const updated = existing
+      ? { ...existing }
+      : {
+          refundId: event.refundId,
+          amount: event.amount,
+          reason: event.message || null,
+          requestedBy: null,
+          createdAt: now,
+        };
+    updated.cfRefundId = event.cfRefundId || updated.cfRefundId || null;
+    updated.status = event.status;
+    updated.processedAt = event.status === REFUND_STATUS.PENDING ? null : now;
+    if (index >= 0) refunds[index] = updated;
+    else refunds.push(updated);
+
+    const { status, refundedAmount } = statusAfterRefunds(order, refunds);
+    return { set: { refunds, refundedAmount, status }, note: null };
+  });
+
+  if (outcome.result === "applied" && outcome.order.status === ORDER_STATUS.REFUNDED) {
+    await revokeEntitlement(orderId, "refunded");
+  }
+  return outcome;
+}
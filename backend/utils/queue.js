@@ -1,29 +1,111 @@
 /**
  * Request Queue for handling concurrent scraping requests
- * Prevents duplicate scrapes for the same username
+ * Prevents duplicate scrapes for the same username, caps how many
+ * scrapes run at once and rejects new work once the waiting line is full.
+ * Cancels a scrape once every client that asked for it has gone away.
  */
 
+import { DEFAULT_LOCALE } from "../../shared/parsers/index.js";
+
 const log = (message, data = null) => {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] ${message}`, data || "");
 };
 
-class ScrapeQueue {
-  constructor() {
-    // Track usernames currently being processed
+// Read lazily: server.js loads .env after static imports are evaluated
+const getQueueConfig = () => ({
+  concurrency: Number(process.env.SCRAPE_CONCURRENCY) || 2,
+  maxQueueLength: Number(process.env.SCRAPE_MAX_QUEUE) || 10,
+});
+
+// Used for Retry-After until we have real timings
+const DEFAULT_SCRAPE_SECONDS = 45;
+
+/**
+ * Error thrown when the waiting line is full.
+ * err.code === "QUEUE_FULL", err.retryAfter is in seconds.
+ */
+export const createQueueFullError = (retryAfter) => {
+  const err = new Error(`Scraper is busy, retry after ${retryAfter} seconds`);
+  err.code = "QUEUE_FULL";
+  err.retryAfter = retryAfter;
+  return err;
+};
+
+/**
+ * Error a scrape is aborted with when nobody is waiting for it any more.
+ * err.code === "SCRAPE_CANCELLED".
+ */
+export const createCancelledError = (username) => {
+  const err = new Error(`Scrape for ${username} cancelled: all clients disconnected`);
+  err.code = "SCRAPE_CANCELLED";
+  return err;
+};
+
+/**
+ * Queue key for a scrape: the username, plus the funnel locale when it is
+ * not the default, so one handle can be scraped in two languages at once
+ */
+export const scrapeKey = (username, locale = DEFAULT_LOCALE) =>
+  locale === DEFAULT_LOCALE ? username : `${username}:${locale}`;
+
+export class ScrapeQueue {
+  constructor(config = null) {
+    this.config = config;
+    // Track usernames currently being processed (running or queued)
     this.processing = new Map(); // username -> Promise<result>
     // Track waiting requests for same username
     this.waiting = new Map(); // username -> [resolve functions]
+    // FIFO of scrapes waiting for a free slot
+    this.pending = []; // [{ username, task, resolve, reject }]
+    // Who still wants each scrape; the scrape is aborted when nobody does
+    this.interest = new Map(); // username -> { controller, clients, pinned }
+    this.running = 0;
+    this.averageSeconds = DEFAULT_SCRAPE_SECONDS;
+  }
+
+  get concurrency() {
+    return (this.config || getQueueConfig()).concurrency;
+  }
+
+  get maxQueueLength() {
+    return (this.config || getQueueConfig()).maxQueueLength;
+  }
+
+  /**
+   * Whether a request for this username would be accepted right now
+   */
+  canAccept(username) {
+    return (
+      this.processing.has(username) ||
+      this.running < this.concurrency ||
+      this.pending.length < this.maxQueueLength
+    );
+  }
+
+  /**
+   * Rough wait in seconds before a new job could start
+   */
+  estimateRetryAfter() {
+    const rounds = Math.floor(this.pending.length / this.concurrency) + 1;
+    return Math.max(5, Math.ceil(rounds * this.averageSeconds));
   }
 
   /**
    * Enqueue a scraping request
-   * If same username is already being processed, wait for that result
+   * If same username is already being processed, wait for that result.
+   *
+   * options.signal is the caller's own signal (e.g. its HTTP request
+   * closing). Once the signals of all callers for a username have aborted,
+   * the scrape is aborted too: scrapeFunction(username, signal) gets the
+   * signal to stop on, and a scrape still waiting for a slot never starts.
+   * Callers without a signal keep the scrape alive until it finishes.
    */
-  async enqueue(username, scrapeFunction) {
+  async enqueue(username, scrapeFunction, { signal } = {}) {
     // Check if already processing this username
     if (this.processing.has(username)) {
       log(`⏳ Username ${username} already being processed, waiting for result...`);
+      this.addInterest(username, signal);
       
       // Wait for the existing scrape to complete
       const existingPromise = this.processing.get(username);
@@ -46,10 +128,21 @@ class ScrapeQueue {
       }
     }
 
-    // Start new scrape
-    log(`🚀 Starting new scrape for username: ${username}`);
-    
-    const scrapePromise = scrapeFunction(username)
+    if (!this.canAccept(username)) {
+      const retryAfter = this.estimateRetryAfter();
+      log(`🚫 Queue full (${this.pending.length} waiting), rejecting ${username}, retry after ${retryAfter}s`);
+      throw createQueueFullError(retryAfter);
+    }
+
+    const controller = new AbortController();
+    this.interest.set(username, { controller, clients: 0, pinned: false });
+    this.addInterest(username, signal);
+
+    const scrapePromise = this.schedule(
+      username,
+      () => scrapeFunction(username, controller.signal),
+      controller.signal
+    )
       .then((result) => {
         // Notify waiting requests
         const waiters = this.waiting.get(username);
@@ -71,6 +164,7 @@ class ScrapeQueue {
       .finally(() => {
         // Remove from processing map
         this.processing.delete(username);
+        this.interest.delete(username);
         log(`✅ Completed scrape for username: ${username}`);
       });
 
@@ -80,11 +174,98 @@ class ScrapeQueue {
     return scrapePromise;
   }
 
+  /**
+   * Count a caller as waiting for username's scrape until its signal aborts;
+   * a caller without a signal pins the scrape
+   */
+  addInterest(username, signal) {
+    const entry = this.interest.get(username);
+    if (!entry) return;
+    if (!signal) {
+      entry.pinned = true;
+      return;
+    }
+
+    entry.clients += 1;
+    const onAbort = () => {
+      entry.clients -= 1;
+      // Ignore clients leaving after the scrape has finished
+      if (this.interest.get(username) !== entry) return;
+      if (entry.clients === 0 && !entry.pinned) {
+        log(`🛑 Last client for ${username} disconnected, cancelling scrape`);
+        entry.controller.abort(createCancelledError(username));
+      }
+    };
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  }
+
+  /**
+   * Run the task now if a slot is free, otherwise line it up (FIFO).
+   * A queued task whose signal aborts is dropped without running.
+   */
+  schedule(username, task, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const job = { username, task, resolve, reject };
+      this.pending.push(job);
+      if (this.running >= this.concurrency) {
+        log(`🕒 Queued scrape for ${username} (position ${this.pending.length})`);
+      }
+      signal?.addEventListener(
+        "abort",
+        () => {
+          const index = this.pending.indexOf(job);
+          if (index !== -1) {
+            this.pending.splice(index, 1);
+            log(`🗑️  Dropped queued scrape for ${username}`);
+            reject(signal.reason);
+          }
+        },
+        { once: true }
+      );
+      this.drain();
+    });
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      const startedAt = Date.now();
+      this.running += 1;
+      log(`🚀 Starting new scrape for username: ${job.username} (${this.running}/${this.concurrency} running)`);
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.running -= 1;
+          // Smooth the average so one slow run doesn't swing Retry-After
+          const seconds = (Date.now() - startedAt) / 1000;
+          this.averageSeconds = this.averageSeconds * 0.8 + seconds * 0.2;
+          this.drain();
+        });
+    }
+  }
+
   /**
    * Get current queue status
    */
   getStatus() {
     return {
+      running: this.running,
+      concurrency: this.concurrency,
+      queued: this.pending.map((job) => job.username),
+      maxQueueLength: this.maxQueueLength,
       processing: Array.from(this.processing.keys()),
       waiting: Array.from(this.waiting.keys()).map(username => ({
         username,
@@ -1,6 +1,13 @@
 import "./App.css";
 import { useEffect, useMemo, useRef, useState } from "react";
-import { parseResultsSnapshot } from "./utils/parseSnapshot";
+import {
+  parseResultsSnapshot,
+  parseProfileSnapshot,
+  parseProcessingSnapshot,
+  STEP_SCHEMA_VERSIONS,
+  getLocale,
+  STORED_IMAGE_PATH,
+} from "./utils/parseSnapshot";
 import { parseFullReport } from "./utils/parseFullReport";
 import b1Image from "./assets/b1.jpg";
 import g1Image from "./assets/g1.jpg";
@@ -19,6 +26,16 @@ const API_BASE = (() => {
 })();
 const SNAPSHOT_BASE =
   import.meta.env.VITE_SNAPSHOT_BASE?.trim() || API_BASE;
+// The backend moves captured images to /api/images/<hash>; point those links at it
+const resolveStoredImage = (value) =>
+  typeof value === "string" && value.startsWith(STORED_IMAGE_PATH)
+    ? `${SNAPSHOT_BASE}${value}`
+    : value;
+const STORED_IMAGE_IN_HTML_REGEX = /(["'(;])\/api\/images\//g;
+const resolveCardImages = (cards = []) =>
+  cards.map((card) => ({ ...card, image: resolveStoredImage(card.image) }));
+// Source funnel language; the backend only scrapes "en" live for now and rejects anything else
+const SOURCE_LOCALE = import.meta.env.VITE_SOURCE_LOCALE?.trim() || "en";
 
 const SCREEN = {
   LANDING: "landing",
@@ -28,6 +45,7 @@ const SCREEN = {
   PREVIEW: "preview",
   FULL_REPORT: "full-report",
   PAYMENT: "payment",
+  PAYMENT_RESULT: "payment-result",
   ERROR: "error",
 };
 
@@ -41,16 +59,73 @@ const INITIAL_PROFILE = {
     "https://images.unsplash.com/photo-1494790108377-be9c29b29330?auto=format&fit=facearea&w=400&h=400",
 };
 
+// Shown until /api/products answers; the server always decides the real price
+const DEFAULT_PRODUCT = {
+  id: "full-report",
+  name: "Unlock Insta Full Report",
+  unitPrice: 199,
+  retailPrice: 1299,
+  currency: "INR",
+  maxQuantity: 10,
+};
+
+// Remembers what is being bought across the Cashfree redirect
+const PENDING_ORDER_KEY = "pendingOrder";
+
+// Set by the backend's /payment/return redirect
+const readPaymentResultParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("view") !== "payment-result" || !params.get("order_id")) {
+    return null;
+  }
+  return { orderId: params.get("order_id"), status: params.get("status") || "pending" };
+};
+
+// Snapshot ID from a step's htmlPath (/api/snapshots/<id>/<step>)
+const getSnapshotIdFromSteps = (steps = []) => {
+  for (const step of steps) {
+    const match = step?.htmlPath?.match(/\/api\/snapshots\/([^/]+)\//);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+// Step data the backend parsed at scrape time, or null (older snapshots, step not
+// parsed, or a schema version this build doesn't know - then the HTML is parsed here)
+const fetchParsedStep = async (snapshotId, stepName) => {
+  if (!snapshotId) return null;
+  try {
+    const res = await fetch(`${SNAPSHOT_BASE}/api/snapshots/${encodeURIComponent(snapshotId)}/parsed`);
+    if (!res.ok) return null;
+    const data = JSON.parse(await res.text(), (key, value) => resolveStoredImage(value));
+    const parsed = data.steps?.[stepName];
+    if (!parsed) return null;
+    if (parsed.schemaVersion !== STEP_SCHEMA_VERSIONS[stepName]) {
+      console.warn(
+        `Parsed ${stepName} is schema v${parsed.schemaVersion}, expected v${STEP_SCHEMA_VERSIONS[stepName]}; parsing HTML instead`
+      );
+      return null;
+    }
+    if (data.validation?.[stepName]?.valid === false) {
+      console.warn(`Parsed ${stepName} failed schema validation`, data.validation[stepName].errors);
+    }
+    return parsed;
+  } catch (err) {
+    console.warn(`Parsed data for ${stepName} unavailable, falling back to HTML`, err);
+    return null;
+  }
+};
+
 const DEFAULT_STATS = { mentions: 0, screenshots: 0, visits: 0 };
 const BLUR_KEYWORD_REGEX = /bluredus/i;
 const INVALID_USERNAME_REGEX = /unknown/i;
-const NON_EN_SUMMARY_REGEX = /(seus seguidores|amoroso|vista\(o\)|você é|dos seus)/i;
 const SUMMARY_EXCLUDE_REGEX = /top.*#.*stalker|stalker.*top/i;
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 const ANALYZING_STAGE_HOLD_MS = 1500;
 const PROFILE_STAGE_HOLD_MS = 5000;
 const PROCESSING_STAGE_HOLD_MS = 2000;
+const MAX_JOB_RECONNECTS = 10;
 
 const randBetween = (min, max) =>
   Math.floor(Math.random() * (max - min + 1)) + min;
@@ -88,161 +163,11 @@ const createProcessingStageData = (
   ],
 });
 
-const extractInlineAvatar = (doc) => {
-  const candidate = Array.from(doc.querySelectorAll("[style]")).find((node) =>
-    /background-image/i.test(node.getAttribute("style") || "")
-  );
-  if (candidate) {
-    const match = candidate
-      .getAttribute("style")
-      .match(/url\((['"]?)(.+?)\1\)/i);
-    if (match?.[2]) {
-      return match[2];
-    }
-  }
-  const imgNode = doc.querySelector("img[src]");
-  return imgNode?.getAttribute("src") || INITIAL_PROFILE.avatar;
-};
-
-const parseProfileSnapshot = (html, fallbackUsername = INITIAL_PROFILE.username) => {
-  try {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, "text/html");
-    const avatar = extractInlineAvatar(doc);
-    const usernameNode = Array.from(doc.querySelectorAll("span, div, p")).find(
-      (node) => /^@/.test((node.textContent || "").trim())
-    );
-    const greetingNode = doc.querySelector("h1, h2");
-    const questionNode = Array.from(doc.querySelectorAll("p, span")).find((node) =>
-      /profile/i.test((node.textContent || "").trim())
-    );
-    const buttons = Array.from(doc.querySelectorAll("button"));
-    const progressNode = Array.from(doc.querySelectorAll("[style]")).find((node) =>
-      /width:\s*\d+%/i.test(node.getAttribute("style") || "")
-    );
-
-    let progressPercent = 55;
-    if (progressNode) {
-      const match = progressNode
-        .getAttribute("style")
-        .match(/width:\s*([\d.]+)%/i);
-      if (match?.[1]) {
-        progressPercent = Number(match[1]);
-      }
-    }
-
-    // Extract clean username - only get the @username part, not any concatenated text
-    let cleanUsername = fallbackUsername;
-    if (usernameNode) {
-      const rawText = usernameNode.textContent?.trim() || "";
-      // Try to extract just the @username part
-      // Match @username pattern and stop before "Hello", "Is", or any capital letter that starts a new word
-      const usernameMatch = rawText.match(/^(@[\w_]+)/i);
-      if (usernameMatch) {
-        cleanUsername = usernameMatch[1];
-        // Additional cleanup: remove common concatenated words
-        // If username ends with common words like "Hello", "Is", etc., remove them
-        const cleaned = cleanUsername.replace(/(Hello|Is|Continue|the|profile|correct|No|want|correct|it)$/i, '');
-        if (cleaned.startsWith('@')) {
-          cleanUsername = cleaned;
-        }
-      } else if (rawText.startsWith("@")) {
-        // If it starts with @, extract up to first non-username character or common words
-        const parts = rawText.split(/(Hello|Is|Continue|the|profile|correct|No|want|correct|it)/i);
-        cleanUsername = parts[0] || fallbackUsername;
-      }
-    }
-
-    return {
-      avatar,
-      progressPercent,
-      username: cleanUsername,
-      greeting: (greetingNode?.textContent || "Hello").trim(),
-      question: (questionNode?.textContent || "Is this your profile?").trim(),
-      primaryCta:
-        (buttons[0]?.textContent || "Continue, the profile is correct").trim(),
-      secondaryCta:
-        (buttons[1]?.textContent || "No, I want to correct it").trim(),
-    };
-  } catch (err) {
-    console.error("Failed to parse profile snapshot", err);
-    return null;
-  }
-};
-
-const parseProcessingSnapshot = (html, fallbackAvatar, fallbackUsername) => {
-  try {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, "text/html");
-    const avatar = extractInlineAvatar(doc) || fallbackAvatar;
-    const titleNode = doc.querySelector("h1, h2");
-    const subtitleNode = doc.querySelector("p");
-    // Extract bullet points - focus on list items first, then individual paragraphs
-    const bullets = [];
-    
-    // First, try to get list items (most reliable for bullet points)
-    const listItems = Array.from(doc.querySelectorAll("li"));
-    listItems.forEach((li) => {
-      // Get direct text content, excluding nested list items
-      const directText = Array.from(li.childNodes)
-        .filter(node => node.nodeType === 3) // Text nodes only
-        .map(node => node.textContent.trim())
-        .join(" ")
-        .trim();
-      
-      if (directText && directText.length > 20) {
-        // Also check if it has nested elements with text
-        const nestedText = li.textContent.trim();
-        // Use nested text if it's reasonable length (not concatenated)
-        const text = nestedText.length < 200 ? nestedText : directText;
-        if (text && /mentions|detected|visited|people|screenshot|region|profile|times|yesterday|shared|stories|messages|followers|found.*\d+/i.test(text)) {
-          bullets.push(text);
-        }
-      }
-    });
-    
-    // If no list items found, look for individual paragraphs
-    if (bullets.length === 0) {
-      const paragraphs = Array.from(doc.querySelectorAll("p"));
-      paragraphs.forEach((p) => {
-        const text = p.textContent.trim();
-        // Only include if it looks like a bullet point (not too long, contains keywords)
-        if (text.length > 20 && text.length < 200 && 
-            /mentions|detected|visited|people|screenshot|region|profile|times|yesterday|shared|stories|messages|followers|found.*\d+/i.test(text)) {
-          bullets.push(text);
-        }
-      });
-    }
-    
-    // Remove duplicates and filter out very long concatenated text
-    const uniqueBullets = bullets
-      .filter((text, index, arr) => arr.indexOf(text) === index)
-      .filter(text => text.length < 200); // Filter out concatenated long text
-
-    return {
-      avatar,
-      title: titleNode?.textContent?.trim() || "Processing data",
-      subtitle:
-        subtitleNode?.textContent?.trim() ||
-        "Our robots are analyzing the behavior of your followers",
-      bullets:
-        uniqueBullets.length > 0
-          ? uniqueBullets
-          : [
-              `Found 10 mentions of ${fallbackUsername} in messages from your followers`,
-              "Our AI detected a possible screenshot of someone talking about you",
-              "It was detected that someone you know visited your profile 9 times yesterday",
-              "2 people from your region shared one of your stories",
-            ],
-    };
-  } catch (err) {
-    console.error("Failed to parse processing snapshot", err);
-    return null;
-  }
-};
-
 function App() {
-  const [screen, setScreen] = useState(SCREEN.LANDING);
+  const [paymentResult] = useState(readPaymentResultParams);
+  const [screen, setScreen] = useState(
+    paymentResult ? SCREEN.PAYMENT_RESULT : SCREEN.LANDING
+  );
   const [profile, setProfile] = useState(INITIAL_PROFILE);
   const [usernameInput, setUsernameInput] = useState("");
   const [cards, setCards] = useState([]);
@@ -275,6 +200,9 @@ function App() {
   const [fullReportHtml, setFullReportHtml] = useState(null);
   const [fullReportData, setFullReportData] = useState(null);
   const [fullReportLoading, setFullReportLoading] = useState(false);
+  // The full report is paid: locked until an order unlocks it
+  const [fullReportLocked, setFullReportLocked] = useState(false);
+  const [unlockedReport, setUnlockedReport] = useState(null); // { accessToken, parsed }
   const [analyzingProgress, setAnalyzingProgress] = useState(0);
   const [processingMessageIndex, setProcessingMessageIndex] = useState(0);
   
@@ -287,6 +215,8 @@ function App() {
   const [paymentCountdown, setPaymentCountdown] = useState(404); // 6:44 in seconds
   const [quantity, setQuantity] = useState(1);
   const [paymentLoading, setPaymentLoading] = useState(false);
+  const [unlockedReportLoading, setUnlockedReportLoading] = useState(false);
+  const [product, setProduct] = useState(DEFAULT_PRODUCT);
   const activeRequestRef = useRef(0);
   const stepHtmlFetchRef = useRef({});
   const snapshotLookup = useMemo(() => {
@@ -303,7 +233,10 @@ function App() {
     try {
       const res = await fetch(url);
       if (!res.ok) return null;
-      const html = await res.text();
+      const html = (await res.text()).replace(
+        STORED_IMAGE_IN_HTML_REGEX,
+        `$1${SNAPSHOT_BASE}${STORED_IMAGE_PATH}`
+      );
       if (typeof DOMParser !== "undefined") {
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, "text/html");
@@ -340,16 +273,28 @@ function App() {
           };
         });
         if (stepName === "profile-confirm") {
-          const parsed = parseProfileSnapshot(html, profile.username);
+          const parsed = parseProfileSnapshot(html, { locale: SOURCE_LOCALE });
           if (parsed) {
-            setProfileStage(parsed);
+            setProfileStage({
+              ...parsed,
+              avatar: parsed.avatar || INITIAL_PROFILE.avatar,
+              username: parsed.username || profile.username,
+            });
             setProfileConfirmParsed(true);  // Mark as parsed
           }
         }
         if (stepName === "processing") {
-          const parsed = parseProcessingSnapshot(html, profile.avatar, profile.username);
+          const parsed = parseProcessingSnapshot(html, { locale: SOURCE_LOCALE });
           if (parsed) {
-            setProcessingStage(parsed);
+            if (parsed.bullets.length === 0) {
+              console.warn("No bullets parsed from processing snapshot, using defaults", parsed.diagnostics);
+            }
+            const defaults = createProcessingStageData(profile.username, profile.avatar);
+            setProcessingStage({
+              ...parsed,
+              avatar: parsed.avatar || defaults.avatar,
+              bullets: parsed.bullets.length > 0 ? parsed.bullets : defaults.bullets,
+            });
           }
         }
       }
@@ -536,11 +481,17 @@ function App() {
     const loadAnalysis = async () => {
       try {
         setAnalysisLoading(true);
+        const serverParsed = await fetchParsedStep(getSnapshotIdFromSteps(snapshots), "results");
+        if (cancelled) return;
+        if (serverParsed) {
+          setAnalysis(serverParsed);
+          return;
+        }
         const res = await fetch(url);
         if (!res.ok) throw new Error("Unable to download analyzer snapshot");
         const html = await res.text();
         if (cancelled) return;
-        const parsed = parseResultsSnapshot(html);
+        const parsed = parseResultsSnapshot(html, { locale: SOURCE_LOCALE });
         setAnalysis(parsed);
       } catch (err) {
         console.error("Failed to parse analyzer snapshot", err);
@@ -824,9 +775,21 @@ function App() {
   };
 
   const fetchCards = async (usernameValue) => {
-    // Use Server-Sent Events for real-time snapshot streaming
+    // Start a scrape job, then follow its event stream. The job keeps running
+    // server-side, so a dropped connection just reconnects to the same job.
+    const jobResponse = await fetch(`${API_BASE}/api/jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: usernameValue, locale: SOURCE_LOCALE }),
+    });
+    const job = await jobResponse.json().catch(() => ({}));
+    if (!jobResponse.ok || !job.jobId) {
+      throw new Error(job.message || job.error || "Failed to start scan");
+    }
+
     return new Promise((resolve, reject) => {
-      const eventSource = new EventSource(`${API_URL}?username=${encodeURIComponent(usernameValue)}&stream=true`);
+      const eventSource = new EventSource(`${API_BASE}/api/jobs/${job.jobId}/events`);
+      let reconnects = 0;
       
       eventSource.addEventListener("snapshot", (e) => {
         try {
@@ -855,7 +818,7 @@ function App() {
           
           // Set cards and final snapshots
           if (finalResult.cards && Array.isArray(finalResult.cards)) {
-            setCards(finalResult.cards);
+            setCards(resolveCardImages(finalResult.cards));
           }
           if (finalResult.steps && Array.isArray(finalResult.steps)) {
             setSnapshots((prev) => mergeSnapshotSteps(prev, finalResult.steps));
@@ -871,6 +834,8 @@ function App() {
       });
       
       eventSource.addEventListener("error", (e) => {
+        // Connection drops also fire "error" but carry no data - onerror handles those
+        if (!e.data) return;
         try {
           const errorData = JSON.parse(e.data);
           console.error(`❌ Scrape error: ${errorData.error}`);
@@ -883,11 +848,16 @@ function App() {
         }
       });
       
-      // Handle connection errors
+      // EventSource reconnects on its own; replayed snapshots are merged by name
       eventSource.onerror = (err) => {
-        console.error("EventSource error:", err);
-        eventSource.close();
-        reject(new Error("Connection error"));
+        reconnects += 1;
+        if (eventSource.readyState === EventSource.CLOSED || reconnects > MAX_JOB_RECONNECTS) {
+          console.error("EventSource error:", err);
+          eventSource.close();
+          reject(new Error("Connection error"));
+          return;
+        }
+        console.warn(`EventSource reconnecting to job ${job.jobId} (attempt ${reconnects})`);
       };
     });
   };
@@ -901,15 +871,31 @@ function App() {
     }
 
     setFullReportLoading(true);
+    setFullReportLocked(false);
     setScreen(SCREEN.FULL_REPORT);
 
     try {
+      // Parsed data for the paid step only comes with the unlocked report
+      const unlockedParsed = unlockedReport?.parsed?.["full-report"];
+      if (unlockedParsed?.schemaVersion === STEP_SCHEMA_VERSIONS["full-report"]) {
+        setFullReportData(unlockedParsed);
+        return;
+      }
+
       const url = buildSnapshotUrl(fullReportStep.htmlPath);
       if (!url) {
         throw new Error("Could not build snapshot URL");
       }
 
-      const res = await fetch(url);
+      const res = await fetch(
+        url,
+        unlockedReport ? { headers: { Authorization: `Bearer ${unlockedReport.accessToken}` } } : undefined
+      );
+      if (res.status === 401 || res.status === 403) {
+        // Not bought yet: the unlock screen doesn't need the page's data
+        setFullReportLocked(true);
+        return;
+      }
       if (!res.ok) {
         throw new Error("Failed to fetch full report");
       }
@@ -917,7 +903,7 @@ function App() {
       const html = await res.text();
       
       // Parse the HTML to extract structured data
-      const parsedData = parseFullReport(html);
+      const parsedData = parseFullReport(html, { locale: SOURCE_LOCALE });
       if (parsedData) {
         setFullReportData(parsedData);
         setFullReportHtml(html); // Keep raw HTML for reference
@@ -1131,14 +1117,17 @@ function App() {
     }
 
     const { hero, summary, slider, screenshots, stories, alert, addicted, ctas } = analysis;
+    // Drop lines the funnel left in another language
+    const { strayText } = getLocale(analysis.locale);
     const filteredSummaryCards = summary.cards.filter((card) => {
       const text = `${card.title} ${card.detail}`.trim();
-      return text && !NON_EN_SUMMARY_REGEX.test(text) && !SUMMARY_EXCLUDE_REGEX.test(text);
+      return text && !strayText?.test(text) && !SUMMARY_EXCLUDE_REGEX.test(text);
     });
     
-    // Determine which CTA is for "REVEAL STALKERS" and which is for "REVEAL PROFILES"
-    const revealStalkersCta = ctas.primary && ctas.primary.toLowerCase().includes("stalker") ? ctas.primary : null;
-    const revealProfilesCta = ctas.secondary && (ctas.secondary.toLowerCase().includes("profile") || ctas.secondary.toLowerCase().includes("uncensored")) ? ctas.secondary : null;
+    // The parser picks CTAs by role (selector registry), so no text checks here:
+    // primary is "REVEAL STALKERS", secondary "REVEAL PROFILES", in any locale
+    const revealStalkersCta = ctas.primary || null;
+    const revealProfilesCta = ctas.secondary || null;
 
     return (
       <section className="screen preview-screen">
@@ -1357,11 +1346,6 @@ function App() {
             {screenshots.footer && (
               <p className="screenshots-footer">{screenshots.footer}</p>
             )}
-            {ctas.secondary && !revealProfilesCta && (
-              <div className="cta-inline">
-                <button className="secondary-btn">{ctas.secondary}</button>
-              </div>
-            )}
           </section>
 
           {alert.title && (
@@ -1420,7 +1404,7 @@ function App() {
       );
     }
 
-    if (!fullReportData && !fullReportHtml) {
+    if (!fullReportData && !fullReportHtml && !fullReportLocked) {
       return (
         <section className="screen hero">
           <h1>Full Report Not Available</h1>
@@ -1599,6 +1583,31 @@ function App() {
     }
   }, [screen, paymentCountdown]);
 
+  // Drop the /payment/return query so a reload doesn't show a stale result
+  useEffect(() => {
+    if (paymentResult) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+  }, [paymentResult]);
+
+  // Load current pricing when the payment page opens
+  useEffect(() => {
+    if (screen !== SCREEN.PAYMENT) return;
+    let cancelled = false;
+    fetch(`${API_BASE}/api/products`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        const match = data?.products?.find((item) => item.id === DEFAULT_PRODUCT.id);
+        if (match && !cancelled) {
+          setProduct(match);
+        }
+      })
+      .catch((err) => console.error("Failed to load product pricing:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [screen]);
+
   const formatCountdown = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -1622,14 +1631,16 @@ function App() {
         throw new Error(errorData.error || "Failed to save user data");
       }
 
-      // Create payment session
-      const amount = 199 * quantity; // 199₹ per item
+      // Create payment session - the server prices the order from its catalogue
       const sessionResponse = await fetch(`${API_BASE}/api/payment/create-session`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           ...paymentForm,
-          amount,
+          productId: product.id,
+          quantity,
+          snapshotId: getSnapshotIdFromSteps(snapshots),
+          username: profile.username,
         }),
       });
 
@@ -1647,6 +1658,17 @@ function App() {
         throw new Error("Payment session ID not received from server");
       }
 
+      // The page is replaced by Cashfree checkout; keep what was bought for the return page
+      localStorage.setItem(
+        PENDING_ORDER_KEY,
+        JSON.stringify({
+          orderId: sessionData.orderId,
+          accessToken: sessionData.accessToken,
+          snapshotId: getSnapshotIdFromSteps(snapshots),
+          username: profile.username,
+        })
+      );
+
       // Wait a bit for Cashfree SDK to load if not already loaded
       let retries = 0;
       const maxRetries = 10;
@@ -1695,8 +1717,8 @@ function App() {
   };
 
   const renderPayment = () => {
-    const originalPrice = 1299;
-    const currentPrice = 199;
+    const originalPrice = product.retailPrice;
+    const currentPrice = product.unitPrice;
     const subtotal = currentPrice * quantity;
     const total = subtotal;
 
@@ -1850,7 +1872,7 @@ function App() {
                 <div className="order-item">
                   <div className="order-item-icon">📱</div>
                   <div className="order-item-details">
-                    <div className="order-item-name">Unlock Insta Full Report</div>
+                    <div className="order-item-name">{product.name}</div>
                     <div className="order-item-price">₹{currentPrice.toLocaleString("en-IN")}</div>
                   </div>
                   <div className="order-item-quantity">
@@ -1865,7 +1887,7 @@ function App() {
                     <button
                       type="button"
                       className="quantity-btn"
-                      onClick={() => setQuantity(quantity + 1)}
+                      onClick={() => setQuantity(Math.min(product.maxQuantity, quantity + 1))}
                     >
                       +
                     </button>
@@ -1907,6 +1929,106 @@ function App() {
     );
   };
 
+  // Load the report a paid order unlocked; the server checks the entitlement
+  const loadUnlockedReport = async ({ snapshotId, accessToken }) => {
+    setUnlockedReportLoading(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/reports/${encodeURIComponent(snapshotId)}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      const report = await res
+        .text()
+        .then((text) => JSON.parse(text, (key, value) => resolveStoredImage(value)))
+        .catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(report.error || "Failed to load report");
+      }
+
+      setUnlockedReport({ accessToken, parsed: report.parsed || {} });
+      setCards(report.cards || []);
+      setSnapshots(report.steps || []);
+      setScreen(SCREEN.PREVIEW);
+    } catch (err) {
+      console.error("Failed to load unlocked report:", err);
+      setErrorMessage(err.message || "Failed to load your report. Please try again.");
+      setScreen(SCREEN.ERROR);
+    } finally {
+      setUnlockedReportLoading(false);
+    }
+  };
+
+  const renderPaymentResult = () => {
+    const { orderId, status } = paymentResult || {};
+    let pendingOrder = null;
+    try {
+      pendingOrder = JSON.parse(localStorage.getItem(PENDING_ORDER_KEY) || "null");
+    } catch (err) {
+      console.error("Failed to read pending order:", err);
+    }
+    const purchase = pendingOrder?.orderId === orderId ? pendingOrder : null;
+
+    if (status === "paid") {
+      return (
+        <section className="screen hero">
+          <h1>Payment successful</h1>
+          <p>Your full report is unlocked. Order ID: {orderId}</p>
+          {purchase?.accessToken && purchase?.snapshotId ? (
+            <button
+              className="primary-btn"
+              onClick={() => loadUnlockedReport(purchase)}
+              disabled={unlockedReportLoading}
+            >
+              {unlockedReportLoading ? "Loading..." : "View your report"}
+            </button>
+          ) : (
+            <button className="primary-btn" onClick={() => setScreen(SCREEN.LANDING)}>
+              Run a new scan to view your report
+            </button>
+          )}
+        </section>
+      );
+    }
+
+    if (status === "pending") {
+      return (
+        <section className="screen hero">
+          <h1>Payment pending</h1>
+          <p>We have not received confirmation for order {orderId} yet. This usually takes a few seconds.</p>
+          <button
+            className="primary-btn"
+            onClick={() => {
+              window.location.href = `${API_BASE}/payment/return?order_id=${encodeURIComponent(orderId)}`;
+            }}
+          >
+            Check again
+          </button>
+        </section>
+      );
+    }
+
+    if (status === "refunded") {
+      return (
+        <section className="screen hero">
+          <h1>Order refunded</h1>
+          <p>Order {orderId} has been refunded to your original payment method.</p>
+          <button className="primary-btn" onClick={() => setScreen(SCREEN.LANDING)}>
+            Back to start
+          </button>
+        </section>
+      );
+    }
+
+    return (
+      <section className="screen hero">
+        <h1>Payment failed</h1>
+        <p>Your payment for order {orderId} did not go through. You have not been charged.</p>
+        <button className="primary-btn" onClick={() => setScreen(SCREEN.LANDING)}>
+          Back to start
+        </button>
+      </section>
+    );
+  };
+
   const renderError = () => (
     <section className="screen hero">
       <h1>Something went wrong</h1>
@@ -1933,6 +2055,8 @@ function App() {
         return renderFullReport();
       case SCREEN.PAYMENT:
         return renderPayment();
+      case SCREEN.PAYMENT_RESULT:
+        return renderPaymentResult();
       case SCREEN.ERROR:
         return renderError();
       default:
@@ -1,7 +1,14 @@
-import { defineConfig } from 'vite'
+import process from 'node:process'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // Snapshot parsers live in ../shared, outside the frontend root
+      allow: [searchForWorkspaceRoot(process.cwd()), '../shared'],
+    },
+  },
 })
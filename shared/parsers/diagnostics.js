@@ -0,0 +1,84 @@
+/**
+ * Parser diagnostics: which fields came from the page, which fell back to
+ * a hard-coded default, which stayed empty, which are always hard-coded
+ * (fixed), which selectors matched nothing, and which registry candidate
+ * each selector key matched (0 = current markup, higher = a fallback).
+ * Every parser returns the block as `diagnostics`, so a change on the
+ * source site shows up as soon as it breaks a parser.
+ */
+
+const isPresent = (value) => {
+  if (value === null || value === undefined || value === "") return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "number") return !Number.isNaN(value);
+  return true;
+};
+
+export function createDiagnostics() {
+  const found = new Set();
+  const defaulted = new Set();
+  const missing = new Set();
+  const fixed = new Set();
+  const missedSelectors = new Set();
+
+  return {
+    /**
+     * Record a field and return the value to use: the page value if there
+     * is one, else the fallback (when given). `selector` is recorded as
+     * missed when the page had no value.
+     */
+    pick(field, value, { fallback, selector } = {}) {
+      if (isPresent(value)) {
+        found.add(field);
+        return value;
+      }
+      if (selector) missedSelectors.add(selector);
+      if (fallback !== undefined) {
+        defaulted.add(field);
+        return fallback;
+      }
+      missing.add(field);
+      return value;
+    },
+
+    /**
+     * Record a field that is always a hard-coded value (never read from the page)
+     */
+    fixed(field) {
+      fixed.add(field);
+    },
+
+    /**
+     * `selectors` is the parser's resolver.matches() (see registry.js)
+     */
+    report(selectors = {}) {
+      return {
+        found: [...found],
+        defaulted: [...defaulted],
+        missing: [...missing],
+        fixed: [...fixed],
+        missedSelectors: [...missedSelectors],
+        selectors,
+      };
+    },
+  };
+}
+
+/**
+ * One-line summary for logs, e.g. "2 defaulted (pricing.current, bonus), 1 missing (avatar)";
+ * empty when everything the parser looks for came from the page
+ */
+export function summarizeDiagnostics(diagnostics) {
+  if (!diagnostics) return "";
+  const parts = [];
+  if (diagnostics.defaulted.length) {
+    parts.push(`${diagnostics.defaulted.length} defaulted (${diagnostics.defaulted.join(", ")})`);
+  }
+  if (diagnostics.missing.length) {
+    parts.push(`${diagnostics.missing.length} missing (${diagnostics.missing.join(", ")})`);
+  }
+  if (diagnostics.missedSelectors.length) {
+    parts.push(`${diagnostics.missedSelectors.length} selector(s) missed`);
+  }
+  return parts.join(", ");
+}
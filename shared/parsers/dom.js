@@ -0,0 +1,42 @@
+/**
+ * DOM helpers shared by the snapshot parsers.
+ * Only standard DOM APIs - these run on a browser Document and on jsdom.
+ */
+
+export const clean = (value = "") => value.replace(/\s+/g, " ").trim();
+
+export const queryAll = (root, selector) =>
+  root ? Array.from(root.querySelectorAll(selector)) : [];
+
+export const findByText = (root, selector, predicate) =>
+  queryAll(root, selector).find((el) =>
+    predicate(el.textContent ? el.textContent.trim() : "")
+  );
+
+export const extractBackgroundImage = (element) => {
+  if (!element) return null;
+  const style = element.getAttribute("style") || "";
+  const match = style.match(/url\((.*?)\)/i);
+  if (!match) return null;
+  return match[1].replace(/['"&]/g, "");
+};
+
+/**
+ * First inline background-image, else the first <img>; null if neither
+ */
+export const extractInlineAvatar = (doc) => {
+  const styledNode = queryAll(doc, "[style]").find((node) =>
+    /background-image/i.test(node.getAttribute("style") || "")
+  );
+  if (styledNode) {
+    const match = styledNode
+      .getAttribute("style")
+      .match(/url\((['"]?)(.+?)\1\)/i);
+    if (match?.[2]) {
+      return match[2].trim();
+    }
+  }
+
+  const imgNode = doc.querySelector("img[src]");
+  return imgNode?.getAttribute("src") || null;
+};
@@ -0,0 +1,217 @@
+import { FULL_REPORT_SCHEMA_VERSION } from "./schema.js";
+import { createDiagnostics } from "./diagnostics.js";
+import { createSelectorResolver } from "./registry.js";
+import { getLocale, resolveLocale } from "./locales.js";
+import { isStoredImageUrl, findStoredImageUrls } from "./images.js";
+
+// A profile-picture-sized data: URL, or a link to the backend's image store
+const isAvatarUrl = (url) =>
+  (url.startsWith("data:image") && url.includes("base64,") && url.length > 200) || isStoredImageUrl(url);
+
+/**
+ * Parse the full report step (07-full-report.html) into structured data.
+ * options.locale overrides the page's language.
+ */
+export function parseFullReport(doc, options = {}) {
+  if (!doc) return null;
+
+  try {
+    const locale = resolveLocale(doc, options.locale);
+    const { fullReport: patterns, defaults: { fullReport: defaults } } = getLocale(locale);
+    const diagnostics = createDiagnostics();
+    const selectors = createSelectorResolver(locale);
+
+    // Extract profile picture - prioritize background-image in rounded-full divs
+    let avatar = null;
+    
+    // Method 1: Look for div with rounded-full class and background-image (most reliable for avatar)
+    const roundedFullDivs = selectors.all(doc, "full-report.avatar");
+    for (const div of roundedFullDivs) {
+      const style = div.getAttribute("style") || "";
+      if (style.includes("background-image") && (style.includes("data:image") || style.includes("/api/images/"))) {
+        // Extract base64 from style attribute
+        // Pattern: style="background-image: url(&quot;data:image/png;base64,...&quot;)"
+        // Match the entire url() content including base64
+        const bgMatch = style.match(/background-image:\s*url\([^)]+\)/);
+        if (bgMatch) {
+          // Extract the content inside url()
+          let urlContent = bgMatch[0]
+            .replace(/background-image:\s*url\(/, '')
+            .replace(/\)$/, '')
+            .replace(/^["']/, '')
+            .replace(/["']$/, '')
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&')
+            .trim();
+          
+          // Ensure it's a complete base64 string
+          if (isAvatarUrl(urlContent)) {
+            avatar = urlContent;
+            break;
+          }
+        }
+      }
+    }
+    
+    // Method 2: Look for any element with background-image containing base64
+    if (!avatar) {
+      const elementsWithBg = selectors.all(doc, "full-report.backgroundImage");
+      for (const el of elementsWithBg) {
+        const style = el.getAttribute("style") || "";
+        if (style.includes("data:image") || style.includes("/api/images/")) {
+          // Try multiple patterns to extract base64 (or the stored image link)
+          const patterns = [
+            /url\(["']?(&quot;)?((?:data:image|[^"')]*\/api\/images\/)[^"')]+)["')]?/,
+            /background-image:\s*url\(["']?((?:data:image|[^"')]*\/api\/images\/)[^"')]+)["')]?/,
+            /url\(&quot;((?:data:image|[^&]*\/api\/images\/)[^&]+)&quot;\)/
+          ];
+          
+          for (const pattern of patterns) {
+            const match = style.match(pattern);
+            if (match) {
+              let base64Url = (match[2] || match[1] || match[0])
+                .replace(/&quot;/g, '')
+                .replace(/&amp;/g, '&')
+                .replace(/^url\(/, '')
+                .replace(/\)$/, '')
+                .replace(/^["']/, '')
+                .replace(/["']$/, '');
+              
+              if (isAvatarUrl(base64Url)) {
+                avatar = base64Url;
+                break;
+              }
+            }
+          }
+          if (avatar) break;
+        }
+      }
+    }
+    
+    // Method 3: Search HTML string directly for large base64 images (profile pictures are usually large)
+    const html = avatar ? "" : doc.documentElement?.outerHTML || "";
+    // Images big enough to be moved to the image store are profile pictures too
+    if (!avatar) {
+      avatar = findStoredImageUrls(html)[0] || null;
+    }
+    if (!avatar && html.includes("data:image")) {
+      // Look for base64 images that are likely profile pictures (longer strings)
+      const base64Matches = html.matchAll(/data:image\/[^;]+;base64,[A-Za-z0-9+/=]{200,}/g);
+      for (const match of base64Matches) {
+        if (match[0].length > 500) { // Profile pictures are usually larger than icons
+          avatar = match[0];
+          break;
+        }
+      }
+    }
+    
+    // Reported as found or missing; selectors shows which method's elements matched
+    diagnostics.pick("avatar", avatar, { selector: "full-report.backgroundImage" });
+
+    // Extract heading
+    const heading = selectors.first(doc, "full-report.heading");
+    const headingText = diagnostics.pick("heading", heading?.textContent?.trim(), {
+      fallback: defaults.heading,
+      selector: "full-report.heading",
+    });
+
+    // Extract feature cards - look for cards with specific text patterns
+    const allCards = selectors.all(doc, "full-report.featureCard");
+    const features = [];
+    
+    patterns.features.forEach((pattern) => {
+      const card = allCards.find((el) => {
+        const text = el.textContent || "";
+        return pattern.desc.test(text) || text.includes(pattern.title);
+      });
+      
+      if (card) {
+        const title = card.querySelector("h3, h4, strong, b, [class*='title']")?.textContent?.trim() || pattern.title;
+        const desc = card.textContent?.replace(title, "").trim() || "";
+        features.push({ title, description: desc });
+      }
+    });
+
+    // Extract pricing information
+    const priceText = doc.body.textContent || "";
+    const priceMatch = priceText.match(patterns.price);
+    const originalPriceMatch = priceText.match(patterns.originalPrice);
+    const discountMatch = priceText.match(patterns.discount);
+    
+    const price = diagnostics.pick("pricing.current", priceMatch && parseInt(priceMatch[1]), { fallback: 199 });
+    const originalPrice = diagnostics.pick(
+      "pricing.original",
+      originalPriceMatch && parseInt(originalPriceMatch[1]),
+      { fallback: 1299 }
+    );
+    const discount = diagnostics.pick("pricing.discount", discountMatch && parseInt(discountMatch[1]), {
+      fallback: 80,
+    });
+
+    // Extract countdown timer
+    const timerMatch = priceText.match(/(\d{1,2}):(\d{2})/);
+    const countdown = diagnostics.pick("pricing.countdown", timerMatch && `${timerMatch[1]}:${timerMatch[2]}`, {
+      fallback: "14:59",
+    });
+
+    // Extract CTA button text
+    const ctaButton = selectors.first(doc, "full-report.cta");
+    const ctaText = diagnostics.pick("cta", ctaButton?.textContent?.trim(), {
+      fallback: defaults.cta,
+      selector: "full-report.cta",
+    });
+
+    // Extract marketing copy
+    const marketingCopy = { ...defaults.marketing };
+
+    // Try to extract actual marketing text from HTML
+    const bodyText = doc.body.textContent || "";
+    const systemMatch = bodyText.includes(patterns.systemMarker)
+      ? bodyText.match(patterns.systemMessage)
+      : null;
+    marketingCopy.systemMessage = diagnostics.pick("marketing.systemMessage", systemMatch?.[0], {
+      fallback: marketingCopy.systemMessage,
+    });
+    // The rest of the marketing copy is never read from the page
+    Object.keys(marketingCopy)
+      .filter((key) => key !== "systemMessage")
+      .forEach((key) => diagnostics.fixed(`marketing.${key}`));
+
+    // Extract bonus/guarantee information
+    const bonusMatch = bodyText.match(patterns.bonus);
+    const guaranteeMatch = bodyText.match(patterns.guarantee);
+    
+    const bonus = diagnostics.pick("bonus", bonusMatch?.[1].trim(), {
+      fallback: defaults.bonus,
+    });
+    const guarantee = diagnostics.pick("guarantee", guaranteeMatch && patterns.guaranteeText(guaranteeMatch[1]), {
+      fallback: defaults.guarantee,
+    });
+
+    return {
+      schemaVersion: FULL_REPORT_SCHEMA_VERSION,
+      locale,
+      avatar,
+      heading: headingText,
+      features: diagnostics.pick("features", features, {
+        fallback: defaults.features,
+        selector: "full-report.featureCard",
+      }),
+      marketing: marketingCopy,
+      pricing: {
+        original: originalPrice,
+        current: price,
+        discount,
+        countdown,
+      },
+      cta: ctaText,
+      bonus,
+      guarantee,
+      diagnostics: diagnostics.report(selectors.matches()),
+    };
+  } catch (err) {
+    console.error("Failed to parse full report:", err);
+    return null;
+  }
+}
+
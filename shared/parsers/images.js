@@ -0,0 +1,26 @@
+/**
+ * Captured pages inline their images as data: URLs. The backend moves the
+ * large ones into its image store at capture time and links them as
+ * /api/images/<sha256>; the frontend makes that absolute with its API base.
+ * Parsers accept both forms wherever they accept a data: URL.
+ */
+
+export const STORED_IMAGE_PATH = "/api/images/";
+
+const STORED_IMAGE_URL = /^(?:https?:\/\/[^/"'\s]+)?\/api\/images\/[a-f0-9]{64}$/;
+const STORED_IMAGE_URLS = /(?:https?:\/\/[^/"'\s;]+)?\/api\/images\/[a-f0-9]{64}/g;
+
+/**
+ * Link to a stored image by its content hash
+ */
+export const storedImageUrl = (hash) => `${STORED_IMAGE_PATH}${hash}`;
+
+/**
+ * Whether url points at the image store (relative or absolute)
+ */
+export const isStoredImageUrl = (url) => STORED_IMAGE_URL.test(url || "");
+
+/**
+ * Every image store link in a string (e.g. a page's HTML), in order
+ */
+export const findStoredImageUrls = (text) => (text || "").match(STORED_IMAGE_URLS) || [];
@@ -0,0 +1,37 @@
+/**
+ * Snapshot parsers shared by the backend (jsdom) and the frontend (DOMParser).
+ * Every parser takes a Document, so fixes land once and both sides agree.
+ */
+
+export { parseProfileSnapshot, cleanUsername } from "./profile.js";
+export { parseProcessingSnapshot } from "./processing.js";
+export { parseResultsSnapshot } from "./results.js";
+export { parseFullReport } from "./fullReport.js";
+export { summarizeDiagnostics } from "./diagnostics.js";
+export {
+  SELECTOR_REGISTRY,
+  getSelectorEntry,
+  getSelectors,
+  listSelectorEntries,
+  createSelectorResolver,
+} from "./registry.js";
+export { queryAllMatching, countMatches } from "./selectorEngine.js";
+export { STORED_IMAGE_PATH, storedImageUrl, isStoredImageUrl, findStoredImageUrls } from "./images.js";
+export {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  resolveLocale,
+  getLocale,
+} from "./locales.js";
+export {
+  RESULTS_SCHEMA_VERSION,
+  FULL_REPORT_SCHEMA_VERSION,
+  RESULTS_SCHEMA,
+  FULL_REPORT_SCHEMA,
+  STEP_SCHEMAS,
+  STEP_SCHEMA_VERSIONS,
+  validateSchema,
+  validateParsedStep,
+  checkParsedStep,
+} from "./schema.js";
@@ -0,0 +1,161 @@
+/**
+ * Source funnel locales. The site runs the same funnel in English (pv-en)
+ * and Portuguese; the parsers produce the same structure for both, with
+ * `locale` set on the result. Selector text per locale lives in the
+ * selector registry (registry.js); this file holds the parsers' text
+ * patterns and the copy they fall back to when the page has none.
+ *
+ * Portuguese patterns have not been checked against a capture yet - see
+ * `verified` in registry.js.
+ */
+
+export const DEFAULT_LOCALE = "en";
+
+const EN = {
+  // Lines in the other language that leak into the English funnel
+  strayText: /(seus seguidores|amoroso|vista\(o\)|você é|dos seus)/i,
+  profile: {
+    // Words the site renders right after the handle; textContent glues them on
+    trailingWords: /(Hello|Is|Continue|the|profile|correct|No|want|correct|it)/i,
+  },
+  processing: {
+    bullet: /mentions|detected|visited|people|screenshot|region|profile|times|yesterday|shared|stories|messages|followers|found.*\d+/i,
+  },
+  fullReport: {
+    features: [
+      { title: "Story Repeats", desc: /viewed.*re-viewed|re-viewed.*stories/i },
+      { title: "Visit Tracking", desc: /visiting.*profile|who.*visiting/i },
+      { title: "Mention Tracking", desc: /followers.*talk|talk.*about.*you/i },
+      { title: "Who's Watching You", desc: /screenshots|screenshot.*profile/i },
+    ],
+    price: /(\d+)\s*USD/i,
+    originalPrice: /from\s*(\d+)\s*USD/i,
+    discount: /(\d+)%\s*off/i,
+    // The page's own system message, read only when the marker is on the page
+    systemMarker: "only truly functional",
+    systemMessage: /Our reporting system[^.]*\./,
+    bonus: /[Bb]onus[^:]*:\s*([^.!?]+)/,
+    guarantee: /(\d+)[-\s]*[Dd]ay[^.!?]*[Gg]uarantee/,
+    guaranteeText: (days) => `${days}-Day Guarantee`,
+  },
+  defaults: {
+    profile: {
+      greeting: "Hello",
+      question: "Is this your profile?",
+      primaryCta: "Continue, the profile is correct",
+      secondaryCta: "No, I want to correct it",
+    },
+    processing: {
+      title: "Processing data",
+      subtitle: "Our robots are analyzing the behavior of your followers",
+    },
+    fullReport: {
+      heading: "Unlock Complete Report",
+      features: [
+        { title: "Story Repeats", description: "People who viewed and re-viewed your stories" },
+        { title: "Visit Tracking", description: "Discover who is visiting your profile" },
+        { title: "Mention Tracking", description: "Find out which followers talk about you the most" },
+        { title: "Who's Watching You", description: "See who took SCREENSHOTS of your profile and stories" },
+      ],
+      marketing: {
+        systemMessage: "Our reporting system is the only truly functional system on the market.",
+        emotionalAppeal: "We could charge what you've already spent on dates, clothes and dinners that never led to anything.",
+        disappointment: "Where you only got disappointed.",
+        goalMessage: "We want you to have a goal",
+        directionMessage: "We're here giving you the only thing you're still missing, direction.",
+        certaintyMessage: "It's not worth humiliating yourself for someone who doesn't want you, this is your chance to have certainty.",
+      },
+      cta: "I want the complete report",
+      bonus: "Ebook: Manual for attraction and re-attraction",
+      guarantee: "14-Day Guarantee",
+    },
+  },
+};
+
+const PT = {
+  strayText: null,
+  profile: {
+    // Only words long enough not to be the end of a real handle
+    trailingWords: /(Olá|Este|Esse|Continuar|perfil|correto|Não|quero|corrigir)/i,
+  },
+  processing: {
+    bullet: /menç|detectad|visit|pessoas|print|região|perfil|vezes|ontem|compartilh|stories|mensage|seguidores|encontrad.*\d+/i,
+  },
+  fullReport: {
+    features: [
+      { title: "Stories Repetidos", desc: /viu.*reviu|reviu.*stories/i },
+      { title: "Rastreio de Visitas", desc: /visitando.*perfil|quem.*visit/i },
+      { title: "Rastreio de Menções", desc: /seguidores.*falam|falam.*de você/i },
+      { title: "Quem Está de Olho", desc: /prints?|captur.*perfil/i },
+    ],
+    price: /R\$\s*(\d+)/i,
+    originalPrice: /de\s*R\$\s*(\d+)/i,
+    discount: /(\d+)%\s*(?:off|de desconto)/i,
+    systemMarker: "realmente funcional",
+    systemMessage: /Nosso sistema de relatórios[^.]*\./,
+    bonus: /[Bb]ônus[^:]*:\s*([^.!?]+)/,
+    guarantee: /[Gg]arantia[^.!?\d]*(\d+)\s*dias/,
+    guaranteeText: (days) => `Garantia de ${days} dias`,
+  },
+  defaults: {
+    profile: {
+      greeting: "Olá",
+      question: "Este é o seu perfil?",
+      primaryCta: "Continuar, o perfil está correto",
+      secondaryCta: "Não, quero corrigir",
+    },
+    processing: {
+      title: "Processando dados",
+      subtitle: "Nossos robôs estão analisando o comportamento dos seus seguidores",
+    },
+    fullReport: {
+      heading: "Desbloqueie o Relatório Completo",
+      features: [
+        { title: "Stories Repetidos", description: "Pessoas que viram e reviram seus stories" },
+        { title: "Rastreio de Visitas", description: "Descubra quem está visitando seu perfil" },
+        { title: "Rastreio de Menções", description: "Saiba quais seguidores mais falam de você" },
+        { title: "Quem Está de Olho", description: "Veja quem tirou PRINTS do seu perfil e dos seus stories" },
+      ],
+      marketing: {
+        systemMessage: "Nosso sistema de relatórios é o único realmente funcional do mercado.",
+        emotionalAppeal: "Poderíamos cobrar o que você já gastou com encontros, roupas e jantares que nunca deram em nada.",
+        disappointment: "Onde você só se decepcionou.",
+        goalMessage: "Queremos que você tenha um objetivo",
+        directionMessage: "Estamos aqui te dando a única coisa que ainda te falta, direção.",
+        certaintyMessage: "Não vale a pena se humilhar por quem não te quer, essa é a sua chance de ter certeza.",
+      },
+      cta: "Quero o relatório completo",
+      bonus: "Ebook: Manual da atração e reconquista",
+      guarantee: "Garantia de 14 dias",
+    },
+  },
+};
+
+export const LOCALES = { en: EN, pt: PT };
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+/**
+ * Supported locale code for a value like "pt-BR" or "EN"; null if unsupported
+ */
+export function normalizeLocale(value) {
+  const code = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+}
+
+/**
+ * Locale to parse a document with: the explicit one if given, else the
+ * page's <html lang>, else DEFAULT_LOCALE
+ */
+export function resolveLocale(doc, locale) {
+  return (
+    normalizeLocale(locale) ||
+    normalizeLocale(doc?.documentElement?.getAttribute("lang")) ||
+    DEFAULT_LOCALE
+  );
+}
+
+/**
+ * Text patterns and fallback copy for a locale (DEFAULT_LOCALE if unsupported)
+ */
+export const getLocale = (locale) => LOCALES[normalizeLocale(locale) || DEFAULT_LOCALE];
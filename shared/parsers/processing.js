@@ -0,0 +1,74 @@
+import { extractInlineAvatar } from "./dom.js";
+import { createDiagnostics } from "./diagnostics.js";
+import { createSelectorResolver } from "./registry.js";
+import { getLocale, resolveLocale } from "./locales.js";
+
+const TEXT_NODE = 3;
+
+/**
+ * Parse the "Processing data" step.
+ * `bullets` is empty when none are found; callers supply defaults.
+ * options.locale overrides the page's language.
+ */
+export function parseProcessingSnapshot(doc, options = {}) {
+  if (!doc) return null;
+
+  const locale = resolveLocale(doc, options.locale);
+  const { processing: textPatterns, defaults } = getLocale(locale);
+  const diagnostics = createDiagnostics();
+  const selectors = createSelectorResolver(locale);
+  const titleNode = selectors.first(doc, "processing.title");
+  const subtitleNode = selectors.first(doc, "processing.subtitle");
+  const bullets = [];
+
+  // List items are the most reliable source of bullet points
+  selectors.all(doc, "processing.bulletItem").forEach((li) => {
+    // Direct text only, excluding nested elements
+    const directText = Array.from(li.childNodes)
+      .filter((node) => node.nodeType === TEXT_NODE)
+      .map((node) => node.textContent.trim())
+      .join(" ")
+      .trim();
+
+    if (directText && directText.length > 20) {
+      // Use the full text when it's short enough not to be concatenated
+      const nestedText = li.textContent.trim();
+      const text = nestedText.length < 200 ? nestedText : directText;
+      if (text && textPatterns.bullet.test(text)) {
+        bullets.push(text);
+      }
+    }
+  });
+
+  // Otherwise look for bullet-like paragraphs
+  if (bullets.length === 0) {
+    selectors.all(doc, "processing.bulletParagraph").forEach((p) => {
+      const text = p.textContent.trim();
+      if (text.length > 20 && text.length < 200 && textPatterns.bullet.test(text)) {
+        bullets.push(text);
+      }
+    });
+  }
+
+  // Remove duplicates and very long concatenated text
+  const uniqueBullets = bullets
+    .filter((text, index, arr) => arr.indexOf(text) === index)
+    .filter((text) => text.length < 200);
+
+  return {
+    locale,
+    avatar: diagnostics.pick("avatar", extractInlineAvatar(doc), {
+      selector: "[style*=background-image], img[src]",
+    }),
+    title: diagnostics.pick("title", titleNode?.textContent?.trim(), {
+      fallback: defaults.processing.title,
+      selector: "processing.title",
+    }),
+    subtitle: diagnostics.pick("subtitle", subtitleNode?.textContent?.trim(), {
+      fallback: defaults.processing.subtitle,
+      selector: "processing.subtitle",
+    }),
+    bullets: diagnostics.pick("bullets", uniqueBullets, { selector: "processing.bulletItem" }),
+    diagnostics: diagnostics.report(selectors.matches()),
+  };
+}
@@ -0,0 +1,91 @@
+import { extractInlineAvatar } from "./dom.js";
+import { createDiagnostics } from "./diagnostics.js";
+import { createSelectorResolver } from "./registry.js";
+import { getLocale, resolveLocale } from "./locales.js";
+
+/**
+ * Pull the bare @handle out of text like "@someoneHello, someone"
+ */
+export const cleanUsername = (rawText = "", locale) => {
+  const { trailingWords } = getLocale(locale).profile;
+  const text = rawText.trim();
+  // Take accented letters too, so a glued-on "Olá" is stripped whole below
+  const usernameMatch = text.match(/^(@[\w\u00C0-\u017F]+)/i);
+  if (usernameMatch) {
+    const cleaned = usernameMatch[1].replace(
+      new RegExp(`${trailingWords.source}$`, "i"),
+      ""
+    );
+    return cleaned.startsWith("@") && cleaned.length > 1 ? cleaned : usernameMatch[1];
+  }
+  if (text.startsWith("@")) {
+    return text.split(trailingWords)[0] || "";
+  }
+  return "";
+};
+
+/**
+ * Parse the profile confirmation step ("Is this your profile?").
+ * Missing values come back empty (avatar null, username ""); callers
+ * supply their own fallbacks. options.locale overrides the page's language.
+ */
+export function parseProfileSnapshot(doc, options = {}) {
+  if (!doc) return null;
+
+  const locale = resolveLocale(doc, options.locale);
+  const defaults = getLocale(locale).defaults.profile;
+  const diagnostics = createDiagnostics();
+  const selectors = createSelectorResolver(locale);
+
+  // Prefer the shortest @-text: longer matches are usually the handle glued to other text
+  const usernameNode = selectors
+    .all(doc, "profile-confirm.handleText")
+    .sort(
+      (a, b) =>
+        (a.textContent?.trim().length || Infinity) -
+        (b.textContent?.trim().length || Infinity)
+    )[0];
+
+  const greetingNode = selectors.first(doc, "profile-confirm.greeting");
+  const questionNode = selectors.first(doc, "profile-confirm.question");
+  const buttons = selectors.all(doc, "profile-confirm.buttons");
+  const progressNode = selectors.all(doc, "profile-confirm.progressBar").find((node) =>
+    /width:\s*\d+%/i.test(node.getAttribute("style") || "")
+  );
+
+  const progressMatch = progressNode
+    ?.getAttribute("style")
+    .match(/width:\s*([\d.]+)%/i);
+
+  return {
+    locale,
+    avatar: diagnostics.pick("avatar", extractInlineAvatar(doc), {
+      selector: "[style*=background-image], img[src]",
+    }),
+    progressPercent: diagnostics.pick(
+      "progressPercent",
+      progressMatch?.[1] ? Number(progressMatch[1]) : null,
+      { fallback: 55, selector: "profile-confirm.progressBar" }
+    ),
+    username: diagnostics.pick("username", cleanUsername(usernameNode?.textContent || "", locale), {
+      selector: "profile-confirm.handleText",
+    }),
+    greeting: diagnostics.pick("greeting", greetingNode?.textContent?.trim(), {
+      fallback: defaults.greeting,
+      selector: "profile-confirm.greeting",
+    }),
+    question: diagnostics.pick("question", questionNode?.textContent?.trim(), {
+      fallback: defaults.question,
+      selector: "profile-confirm.question",
+    }),
+    primaryCta: diagnostics.pick("primaryCta", buttons[0]?.textContent?.trim(), {
+      fallback: defaults.primaryCta,
+      selector: "profile-confirm.buttons",
+    }),
+    secondaryCta: diagnostics.pick("secondaryCta", buttons[1]?.textContent?.trim(), {
+      fallback: defaults.secondaryCta,
+      selector: "profile-confirm.buttons",
+    }),
+    diagnostics: diagnostics.report(selectors.matches()),
+  };
+}
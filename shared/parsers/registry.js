@@ -0,0 +1,234 @@
+import { queryAllMatching } from "./selectorEngine.js";
+import { DEFAULT_LOCALE, normalizeLocale } from "./locales.js";
+
+/**
+ * Selector registry: every selector and text matcher the scraper flow and
+ * the snapshot parsers look up on the source site, grouped by step.
+ *
+ * Each entry lists its candidates in order - the current markup first,
+ * then fallbacks for markup the site has shipped before. `verified` is the
+ * date of the live-site capture the entry was last checked against
+ * (`npm run check-selectors`), null until it has been; set it only after
+ * checking the entry against a real capture. Entries with
+ * required: false are for optional steps or sections.
+ *
+ * Entries that match on text are localized: one candidate list per funnel
+ * locale (see locales.js) and a `verified` capture per locale, null until
+ * that locale has been checked.
+ *
+ * Selectors use Playwright syntax; see selectorEngine.js for what the
+ * parsers and the health check understand.
+ */
+
+const entry = (candidates, { verified = null, required = true } = {}) => ({
+  candidates,
+  verified,
+  required,
+});
+
+const localized = (candidatesByLocale, { verified = { en: null, pt: null }, required = true } = {}) => ({
+  candidates: candidatesByLocale,
+  verified,
+  required,
+});
+
+export const SELECTOR_REGISTRY = {
+  landing: {
+    revealButton: localized({
+      en: ["button:has-text('Reveal Stalkers')"],
+      pt: ["button:has-text('Revelar Stalkers')", "button:has-text('Revelar')"],
+    }),
+  },
+  "username-entry": {
+    usernameInput: entry(['input[type="text"]', "input"]),
+    continueButton: localized({
+      en: ['button:has-text("Continue")'],
+      pt: ['button:has-text("Continuar")'],
+    }),
+  },
+  analyzing: {
+    analyzingText: localized({ en: ["text=Analyzing"], pt: ["text=Analisando"] }, { required: false }),
+  },
+  "profile-confirm": {
+    // The last candidate is deliberately loose
+    confirmButton: localized({
+      en: [
+        'button:has-text("Continue, the profile is correct")',
+        'button:has-text("profile is correct")',
+        'button:has-text("Continue")',
+      ],
+      pt: [
+        'button:has-text("Continuar, o perfil está correto")',
+        'button:has-text("perfil está correto")',
+        'button:has-text("Continuar")',
+      ],
+    }),
+    displayedHandle: entry(["text=/^@/i"]),
+    handleText: entry(['span:text-matches("^@"), div:text-matches("^@"), p:text-matches("^@")']),
+    greeting: entry(["h1, h2"]),
+    question: localized({
+      en: ['p:text-matches("profile", "i"), span:text-matches("profile", "i")'],
+      pt: ['p:text-matches("perfil", "i"), span:text-matches("perfil", "i")'],
+    }),
+    buttons: entry(["button"]),
+    progressBar: entry(['[style*="width"]']),
+  },
+  processing: {
+    processingText: localized(
+      { en: ["text=Processing data"], pt: ["text=Processando dados"] },
+      { required: false }
+    ),
+    title: entry(["h1, h2"], { required: false }),
+    subtitle: entry(["p"], { required: false }),
+    bulletItem: entry(["li"], { required: false }),
+    bulletParagraph: entry(["p"], { required: false }),
+  },
+  results: {
+    card: entry(['div[role="group"]']),
+    hero: entry(["div.mt-\\[25px\\].w-full"]),
+    summaryGrid: entry(["div.grid.mt-\\[30px\\]"]),
+    warningBanner: localized({
+      en: ['div:has-text("Don\'t leave this page")'],
+      pt: ['div:has-text("Não saia desta página")'],
+    }),
+    weekRange: localized({
+      en: ['p:has-text("Last week")'],
+      pt: ['p:has-text("Última semana")', 'p:has-text("Semana passada")'],
+    }),
+    sliderHeading: localized({
+      en: ['h3:has-text("Visited your profile this week")'],
+      pt: ['h3:has-text("Visitaram seu perfil")'],
+    }),
+    slide: entry(['div[role="group"][aria-roledescription="slide"]']),
+    // Not every results page has a stories section
+    storiesHeading: localized(
+      { en: ['h3:has-text("stories activity")'], pt: ['h3:text-matches("atividade.*stories", "i")'] },
+      { required: false }
+    ),
+    storySlide: entry(
+      [
+        'div[role="group"][aria-roledescription="slide"]',
+        "div[class*='flex'] > div[class*='basis'], div[class*='grid'] > div, article, div[class*='card']",
+      ],
+      { required: false }
+    ),
+    screenshotsHeading: localized({
+      en: ['h3:has-text("Screenshots")'],
+      pt: ['h3:has-text("Prints")', 'h3:has-text("Screenshots")'],
+    }),
+    chat: entry(["div.space-y-\\[3px\\]"]),
+    // The English funnel mixes in Portuguese copy here
+    screenshotsFooter: localized(
+      {
+        en: ['p:text-matches("uncensored|relat[óo]rio", "i")'],
+        pt: ['p:text-matches("sem censura|relat[óo]rio", "i")'],
+      },
+      { required: false }
+    ),
+    // Portuguese in both funnels
+    alertHeading: entry(['h3:has-text("Tem amigos querendo se")']),
+    addictedHeading: localized({ en: ['h3:has-text("addicted")'], pt: ['h3:has-text("viciad")'] }),
+    addictedFooter: localized(
+      { en: ['p:text-matches("full report", "i")'], pt: ['p:text-matches("relat[óo]rio completo", "i")'] },
+      { required: false }
+    ),
+    addictedSubfooter: localized(
+      { en: ['p:text-matches("limited time", "i")'], pt: ['p:text-matches("tempo limitado", "i")'] },
+      { required: false }
+    ),
+    table: entry(["table"]),
+    primaryCta: entry(['button:has-text("stalker")']),
+    secondaryCta: localized(
+      { en: ['button:has-text("uncensored")'], pt: ['button:has-text("sem censura")'] },
+      { required: false }
+    ),
+    tertiaryCta: localized(
+      {
+        en: ['button:has-text("full report")', 'button:has-text("relatório")'],
+        pt: ['button:has-text("relatório completo")', 'button:has-text("relatório")'],
+      },
+      { required: false }
+    ),
+    fullReportButton: localized(
+      { en: ['button:has-text("View Full Report")'], pt: ['button:has-text("Ver relatório completo")'] },
+      { required: false }
+    ),
+  },
+  "full-report": {
+    avatar: entry(["div[class*='rounded-full']"], { required: false }),
+    backgroundImage: entry(["[style*='background-image']"], { required: false }),
+    heading: entry(["h1, h2, [class*='heading'], [class*='title']"], { required: false }),
+    featureCard: entry(["div, section, article"], { required: false }),
+    cta: entry(["button, a[class*='button'], [class*='cta']"], { required: false }),
+  },
+};
+
+// Pick a localized entry's candidates and verified capture for one locale
+const forLocale = (entry, locale) => {
+  if (Array.isArray(entry.candidates)) return entry;
+  const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+  return {
+    ...entry,
+    candidates: entry.candidates[code] || entry.candidates[DEFAULT_LOCALE],
+    verified: entry.verified[code] ?? null,
+  };
+};
+
+/**
+ * Registry entry for "step.name" (e.g. "results.hero") in a locale
+ * (default DEFAULT_LOCALE); throws on unknown keys
+ */
+export function getSelectorEntry(key, locale) {
+  const dot = key.indexOf(".");
+  const entry = SELECTOR_REGISTRY[key.slice(0, dot)]?.[key.slice(dot + 1)];
+  if (!entry) {
+    throw new Error(`Unknown selector "${key}"`);
+  }
+  return forLocale(entry, locale);
+}
+
+/**
+ * Ordered candidates for "step.name" in a locale
+ */
+export const getSelectors = (key, locale) => getSelectorEntry(key, locale).candidates;
+
+/**
+ * Every entry for a locale as { key, step, name, candidates, verified, required }
+ */
+export const listSelectorEntries = (locale) =>
+  Object.entries(SELECTOR_REGISTRY).flatMap(([step, entries]) =>
+    Object.entries(entries).map(([name, entry]) => ({
+      key: `${step}.${name}`,
+      step,
+      name,
+      ...forLocale(entry, locale),
+    }))
+  );
+
+/**
+ * Resolves registry keys (in `locale`'s candidates) against a DOM and
+ * remembers which candidate matched: matches() gives
+ * { key: candidate index, or null if none did }.
+ */
+export function createSelectorResolver(locale) {
+  const matched = {};
+
+  const all = (root, key) => {
+    const candidates = getSelectors(key, locale);
+    for (let index = 0; index < candidates.length; index++) {
+      const elements = queryAllMatching(root, candidates[index]);
+      if (elements.length > 0) {
+        matched[key] = index;
+        return elements;
+      }
+    }
+    if (!(key in matched)) matched[key] = null;
+    return [];
+  };
+
+  return {
+    all,
+    first: (root, key) => all(root, key)[0] || null,
+    matches: () => ({ ...matched }),
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Versioned schemas for the parsed analysis objects (results and full
+ * report). They are plain JSON Schema (a subset: type, const, properties,
+ * required, additionalProperties, items, minLength, minItems), checked by
+ * the small validator below so the browser bundle needs no schema library.
+ *
+ * Bump a version whenever its object changes shape; consumers compare the
+ * object's schemaVersion with the one they were built against.
+ */
+
+export const RESULTS_SCHEMA_VERSION = 4;
+export const FULL_REPORT_SCHEMA_VERSION = 4;
+
+const string = { type: "string" };
+const nonEmptyString = { type: "string", minLength: 1 };
+const boolean = { type: "boolean" };
+const integer = { type: "integer" };
+const imageUrl = { type: ["string", "null"] };
+const arrayOf = (items, extra = {}) => ({ type: "array", items, ...extra });
+
+// Every listed property is required and nothing else is allowed
+const object = (properties) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+const textLine = object({ text: string, blurred: boolean });
+
+// See diagnostics.js
+const diagnostics = object({
+  found: arrayOf(string),
+  defaulted: arrayOf(string),
+  missing: arrayOf(string),
+  fixed: arrayOf(string),
+  missedSelectors: arrayOf(string),
+  // Registry key -> index of the candidate that matched, null when none did
+  selectors: { type: "object", additionalProperties: { type: ["integer", "null"] } },
+});
+
+export const RESULTS_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `snapshot-parsers/results/v${RESULTS_SCHEMA_VERSION}`,
+  title: "Results analysis",
+  ...object({
+    schemaVersion: { const: RESULTS_SCHEMA_VERSION },
+    // Funnel locale the page was parsed as (see locales.js); the structure is the same for all
+    locale: nonEmptyString,
+    hero: object({
+      name: nonEmptyString,
+      stats: arrayOf(object({ value: string, label: string })),
+      visitors: arrayOf(object({ alt: string, image: string })),
+      visitorSummary: string,
+      profileImage: string,
+    }),
+    summary: object({
+      warning: string,
+      weekRange: string,
+      cards: arrayOf(object({ title: string, detail: string })),
+    }),
+    slider: object({
+      heading: string,
+      cards: arrayOf(
+        object({
+          title: string,
+          username: string,
+          lines: arrayOf(textLine),
+          badge: string,
+          image: imageUrl,
+          isLocked: boolean,
+          lockText: string,
+          lockTextBlurred: boolean,
+          blurImage: boolean,
+        }),
+        { minItems: 1 }
+      ),
+    }),
+    screenshots: object({
+      heading: string,
+      description: string,
+      bullets: arrayOf(string),
+      chat: arrayOf(textLine),
+      footer: string,
+    }),
+    stories: object({
+      heading: string,
+      slides: arrayOf(object({ image: imageUrl, caption: string, meta: string })),
+    }),
+    alert: object({ title: string, badge: string, copy: string }),
+    addicted: object({
+      title: string,
+      tiles: arrayOf(object({ title: string, blurred: boolean, body: string })),
+      footer: string,
+      subfooter: string,
+    }),
+    table: object({
+      columns: arrayOf(string),
+      rows: arrayOf(arrayOf(textLine)),
+    }),
+    ctas: object({ primary: string, secondary: string, tertiary: string }),
+    diagnostics,
+  }),
+};
+
+export const FULL_REPORT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `snapshot-parsers/full-report/v${FULL_REPORT_SCHEMA_VERSION}`,
+  title: "Full report",
+  ...object({
+    schemaVersion: { const: FULL_REPORT_SCHEMA_VERSION },
+    locale: nonEmptyString,
+    avatar: imageUrl,
+    heading: nonEmptyString,
+    features: arrayOf(object({ title: string, description: string }), { minItems: 1 }),
+    marketing: object({
+      systemMessage: string,
+      emotionalAppeal: string,
+      disappointment: string,
+      goalMessage: string,
+      directionMessage: string,
+      certaintyMessage: string,
+    }),
+    pricing: object({
+      original: integer,
+      current: integer,
+      discount: integer,
+      countdown: string,
+    }),
+    cta: string,
+    bonus: string,
+    guarantee: string,
+    diagnostics,
+  }),
+};
+
+// Schema per captured step name
+export const STEP_SCHEMAS = {
+  results: RESULTS_SCHEMA,
+  "full-report": FULL_REPORT_SCHEMA,
+};
+
+export const STEP_SCHEMA_VERSIONS = {
+  results: RESULTS_SCHEMA_VERSION,
+  "full-report": FULL_REPORT_SCHEMA_VERSION,
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (expected, actual) =>
+  expected === actual || (expected === "number" && actual === "integer");
+
+/**
+ * Validate a value against one of the schemas above.
+ * Returns a list of "path: problem" strings, empty when the value is valid.
+ */
+export function validateSchema(schema, value, path = "$") {
+  const errors = [];
+
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.some((type) => matchesType(type, actual))) {
+      errors.push(`${path}: expected ${types.join(" | ")}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === "string" && schema.minLength && value.length < schema.minLength) {
+    errors.push(`${path}: is empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key}: is missing`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not in the schema`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, child, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a step's parsed data against its schema.
+ * Returns { schemaVersion, valid, errors }, or null for steps without a schema.
+ */
+export function validateParsedStep(stepName, data) {
+  const schema = STEP_SCHEMAS[stepName];
+  if (!schema) return null;
+
+  const errors = validateSchema(schema, data);
+  return {
+    schemaVersion: STEP_SCHEMA_VERSIONS[stepName],
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Parse-time check for the parsers' callers, which decide how to log it.
+ * Returns the schema errors ("path: problem"), empty when the data is valid
+ * or the step has no schema.
+ */
+export function checkParsedStep(stepName, data) {
+  return validateParsedStep(stepName, data)?.errors || [];
+}
@@ -0,0 +1,98 @@
+/**
+ * Evaluates the Playwright-style selectors of the selector registry on a
+ * plain DOM (browser Document or jsdom), so the scraper, the parsers and
+ * the health check share one syntax. Supported:
+ *   - CSS, including comma lists
+ *   - css:has-text("text")            case-insensitive substring
+ *   - css:text-matches("regex", "i")  regex on the element's text
+ *   - text=Some text / text=/regex/i  innermost elements with that text
+ */
+
+const normalizeText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+/**
+ * Split "a, b:has-text('x, y')" on top-level commas only
+ */
+const splitSelectorList = (selector) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth += 1;
+    } else if (char === ")" || char === "]") {
+      depth -= 1;
+    } else if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+};
+
+const elementsOf = (root, css) => (root ? Array.from(root.querySelectorAll(css || "*")) : []);
+
+// text= matches the innermost elements whose text matches, like Playwright
+const matchText = (root, matcher) => {
+  const regexMatch = matcher.match(/^\/(.+)\/([a-z]*)$/);
+  const test = regexMatch
+    ? (text) => new RegExp(regexMatch[1], regexMatch[2]).test(text)
+    : (text) => text.toLowerCase().includes(matcher.replace(/^["']|["']$/g, "").toLowerCase());
+
+  return elementsOf(root, "*").filter(
+    (el) =>
+      test(normalizeText(el.textContent)) &&
+      !Array.from(el.children).some((child) => test(normalizeText(child.textContent)))
+  );
+};
+
+const matchOne = (root, selector) => {
+  if (selector.startsWith("text=")) {
+    return matchText(root, selector.slice("text=".length));
+  }
+
+  const hasText = selector.match(/^(.*):has-text\((["'])(.*)\2\)$/);
+  if (hasText) {
+    const needle = hasText[3].toLowerCase();
+    return elementsOf(root, hasText[1]).filter((el) =>
+      normalizeText(el.textContent).toLowerCase().includes(needle)
+    );
+  }
+
+  const textMatches = selector.match(/^(.*):text-matches\((["'])(.*?)\2(?:\s*,\s*(["'])([a-z]*)\4)?\)$/);
+  if (textMatches) {
+    const regex = new RegExp(textMatches[3], textMatches[5] || "");
+    return elementsOf(root, textMatches[1]).filter((el) => regex.test(normalizeText(el.textContent)));
+  }
+
+  return elementsOf(root, selector);
+};
+
+const DOCUMENT_POSITION_FOLLOWING = 4;
+
+/**
+ * Elements under root matching a registry selector, in document order
+ */
+export function queryAllMatching(root, selector) {
+  const parts = splitSelectorList(selector);
+  if (parts.length === 1) return matchOne(root, parts[0]);
+
+  const matches = new Set();
+  parts.forEach((part) => matchOne(root, part).forEach((el) => matches.add(el)));
+  return [...matches].sort((a, b) =>
+    a.compareDocumentPosition(b) & DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+}
+
+/**
+ * Number of elements under root matching a registry selector
+ */
+export const countMatches = (root, selector) => queryAllMatching(root, selector).length;